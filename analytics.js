@@ -0,0 +1,161 @@
+/**
+ * Form Analytics
+ * A small event bus for funnel instrumentation (step views, completions, validation
+ * failures, time per step, draft restores, submit attempts and outcomes).
+ *
+ * Events only ever carry identifiers and numbers - field IDs, rule names, step numbers,
+ * counts and durations. Values typed into the form are never passed to the bus, and
+ * any property that isn't a number, boolean or short identifier is dropped as a safeguard.
+ *
+ * Adapters are registered with AnalyticsBus.registerAdapter(type, factory), where
+ * factory(options, formId) returns an object with:
+ *   send(event) - Receive one event
+ *   flush()     - Optional; deliver anything buffered (called when the page is hidden)
+ * Built in: 'local' (console + localStorage ring buffer) and 'beacon' (navigator.sendBeacon).
+ */
+
+const ANALYTICS_LOG_PREFIX = 'beeversity-analytics:';
+const SAFE_PROPERTY_PATTERN = /^[\w.:-]{1,64}$/;
+
+const analyticsAdapters = {};
+
+export class AnalyticsBus {
+    /**
+     * Register an adapter type
+     * @param {string} type - The name used in the schema `analytics.adapters[].type` option
+     * @param {Function} factory - Creates the adapter from its options and the form ID
+     */
+    static registerAdapter(type, factory) {
+        analyticsAdapters[type] = factory;
+    }
+
+    /**
+     * @param {Object} options - The schema `analytics` configuration
+     * @param {string} formId - The schema form ID, added to every event
+     */
+    constructor(options, formId) {
+        this.formId = formId;
+        this.sessionId = Math.random().toString(36).slice(2, 10);
+        this.adapters = (options.adapters || [])
+            .map(adapterOptions => {
+                const factory = analyticsAdapters[adapterOptions.type];
+                if (!factory) {
+                    console.warn(`Unknown analytics adapter "${adapterOptions.type}"`);
+                    return null;
+                }
+                return factory(adapterOptions, formId);
+            })
+            .filter(Boolean);
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.flush();
+            }
+        });
+    }
+
+    /**
+     * Emit an event to every adapter
+     * @param {string} name - The event name (e.g. 'step_view')
+     * @param {Object} properties - Identifiers and numbers describing the event
+     */
+    track(name, properties = {}) {
+        const event = {
+            name,
+            formId: this.formId,
+            sessionId: this.sessionId,
+            timestamp: new Date().toISOString(),
+            ...this.sanitize(properties)
+        };
+
+        this.adapters.forEach(adapter => {
+            try {
+                adapter.send(event);
+            } catch (error) {
+                console.warn('Analytics adapter failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Ask every adapter to deliver buffered events
+     */
+    flush() {
+        this.adapters.forEach(adapter => {
+            if (adapter.flush) {
+                adapter.flush();
+            }
+        });
+    }
+
+    /**
+     * Keep only numbers, booleans and identifier-like strings
+     * @param {Object} properties - The event properties
+     * @returns {Object} - The properties that are safe to emit
+     */
+    sanitize(properties) {
+        const safe = {};
+        Object.entries(properties).forEach(([key, value]) => {
+            const isSafe = typeof value === 'number' || typeof value === 'boolean'
+                || (typeof value === 'string' && SAFE_PROPERTY_PATTERN.test(value));
+            if (isSafe) {
+                safe[key] = value;
+            }
+        });
+        return safe;
+    }
+}
+
+/**
+ * Logs events to the console (when `console` is true) and keeps the latest
+ * `maxEvents` in localStorage for inspection.
+ */
+AnalyticsBus.registerAdapter('local', (options, formId) => {
+    const key = `${ANALYTICS_LOG_PREFIX}${formId}`;
+    const maxEvents = options.maxEvents || 200;
+
+    return {
+        send(event) {
+            if (options.console) {
+                console.debug('📊', event.name, event);
+            }
+
+            try {
+                const events = JSON.parse(localStorage.getItem(key)) || [];
+                events.push(event);
+                localStorage.setItem(key, JSON.stringify(events.slice(-maxEvents)));
+            } catch (error) {
+                console.warn('Could not store analytics event:', error);
+            }
+        }
+    };
+});
+
+/**
+ * Batches events and posts them as JSON ({ events: [...] }) to `url` with
+ * navigator.sendBeacon, so delivery survives the page being closed.
+ */
+AnalyticsBus.registerAdapter('beacon', (options) => {
+    if (!options.url || !navigator.sendBeacon) return null;
+
+    const batchSize = options.batchSize || 10;
+    let queue = [];
+
+    const adapter = {
+        send(event) {
+            queue.push(event);
+            if (queue.length >= batchSize) {
+                adapter.flush();
+            }
+        },
+        flush() {
+            if (queue.length === 0) return;
+
+            const body = new Blob([JSON.stringify({ events: queue })], { type: 'application/json' });
+            if (navigator.sendBeacon(options.url, body)) {
+                queue = [];
+            }
+        }
+    };
+    return adapter;
+});
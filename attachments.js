@@ -0,0 +1,279 @@
+/**
+ * Case Attachments
+ * Drag-and-drop file picker with client-side type/size/count checks and previews.
+ *
+ * Plain Web-to-Case can't accept files, so attachments are uploaded separately
+ * right before the case is posted and their links are added to the description.
+ *
+ * Upload endpoint contract (schema `attachments.uploadUrl`):
+ *   Request:  POST multipart/form-data with one `files` part per file and a `formId` part
+ *   Response: 200 with JSON { "files": [{ "name": "receipt.pdf", "url": "https://..." }] }
+ *   Any other status (or a response without `files`) is treated as a failed upload, and
+ *   so is an upload that takes longer than `attachments.timeout`.
+ * tests/stub-server.js implements this contract for local testing (`npm run stub`).
+ */
+
+import { I18n } from './i18n.js';
+
+const DEFAULT_UPLOAD_TIMEOUT = 60000;
+
+export class AttachmentField {
+    /**
+     * @param {Object} options - The schema `attachments` configuration
+     * @param {string} formId - The schema form ID, sent along with the upload
+     * @param {Document|ShadowRoot} root - Where the form markup lives
+     * @param {Object} i18n - The message catalog (see i18n.js)
+     */
+    constructor(options, formId, root = document, i18n = I18n) {
+        this.options = options;
+        this.i18n = i18n;
+        this.formId = formId;
+        this.files = [];
+        this.previewUrls = new Map();
+
+        this.input = root.getElementById(options.fieldId);
+        this.group = this.input.closest('.form-group');
+        this.dropzone = this.group.querySelector('.dropzone');
+        this.list = this.group.querySelector('.attachment-list');
+        this.errorElement = this.group.querySelector('.field-error');
+
+        this.init();
+    }
+
+    /**
+     * Apply the limits to the markup and bind the picker events
+     */
+    init() {
+        this.input.accept = this.options.accept.join(',');
+        this.input.multiple = this.options.maxFiles > 1;
+        this.group.hidden = false;
+
+        this.input.addEventListener('change', () => {
+            this.addFiles(this.input.files);
+            // Reset so picking the same file again still fires a change
+            this.input.value = '';
+        });
+
+        this.dropzone.addEventListener('click', (e) => {
+            if (e.target !== this.input) {
+                this.input.click();
+            }
+        });
+
+        ['dragenter', 'dragover'].forEach(type => {
+            this.dropzone.addEventListener(type, (e) => {
+                e.preventDefault();
+                this.dropzone.classList.add('dragover');
+            });
+        });
+
+        ['dragleave', 'drop'].forEach(type => {
+            this.dropzone.addEventListener(type, () => {
+                this.dropzone.classList.remove('dragover');
+            });
+        });
+
+        this.dropzone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.addFiles(e.dataTransfer.files);
+        });
+    }
+
+    /**
+     * Add files that pass the type, size and count checks
+     * @param {FileList|File[]} fileList - The chosen or dropped files
+     */
+    addFiles(fileList) {
+        const errors = [];
+
+        Array.from(fileList).forEach(file => {
+            const error = this.checkFile(file);
+            if (error) {
+                errors.push(error);
+            } else {
+                this.files.push(file);
+            }
+        });
+
+        this.showErrors(errors);
+        this.render();
+    }
+
+    /**
+     * Check a single file against the configured limits
+     * @param {File} file - The file to check
+     * @returns {string|null} - The reason it was rejected, or null when accepted
+     */
+    checkFile(file) {
+        const { accept, maxFileSize, maxFiles } = this.options;
+        const extension = '.' + file.name.split('.').pop().toLowerCase();
+
+        if (!accept.includes(file.type) && !accept.includes(extension)) {
+            return this.i18n.t('attachments.unsupported', { name: file.name });
+        }
+
+        if (file.size > maxFileSize) {
+            return this.i18n.t('attachments.tooLarge', { name: file.name, size: this.formatSize(maxFileSize) });
+        }
+
+        if (this.files.some(existing => existing.name === file.name && existing.size === file.size)) {
+            return this.i18n.t('attachments.duplicate', { name: file.name });
+        }
+
+        if (this.files.length >= maxFiles) {
+            return this.i18n.t('attachments.tooMany', { count: maxFiles });
+        }
+
+        return null;
+    }
+
+    /**
+     * Remove a chosen file
+     * @param {File} file - The file to remove
+     */
+    removeFile(file) {
+        this.files = this.files.filter(existing => existing !== file);
+
+        if (this.previewUrls.has(file)) {
+            URL.revokeObjectURL(this.previewUrls.get(file));
+            this.previewUrls.delete(file);
+        }
+
+        this.showErrors([]);
+        this.render();
+    }
+
+    /**
+     * Remove every chosen file, e.g. when the form starts over
+     */
+    clear() {
+        this.previewUrls.forEach(url => URL.revokeObjectURL(url));
+        this.previewUrls.clear();
+        this.files = [];
+
+        this.showErrors([]);
+        this.render();
+    }
+
+    /**
+     * Render the list of chosen files with previews
+     */
+    render() {
+        this.list.innerHTML = '';
+
+        this.files.forEach(file => {
+            const item = document.createElement('li');
+            item.className = 'attachment-item';
+
+            const preview = document.createElement('div');
+            preview.className = 'attachment-preview';
+            if (file.type.startsWith('image/')) {
+                if (!this.previewUrls.has(file)) {
+                    this.previewUrls.set(file, URL.createObjectURL(file));
+                }
+                const image = document.createElement('img');
+                image.src = this.previewUrls.get(file);
+                image.alt = '';
+                preview.appendChild(image);
+            } else {
+                preview.textContent = '📄';
+            }
+
+            const details = document.createElement('div');
+            details.className = 'attachment-details';
+            details.textContent = file.name;
+
+            const size = document.createElement('small');
+            size.textContent = this.formatSize(file.size);
+            details.appendChild(size);
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'attachment-remove';
+            removeBtn.textContent = '✕';
+            removeBtn.setAttribute('aria-label', this.i18n.t('attachments.remove', { name: file.name }));
+            removeBtn.addEventListener('click', () => this.removeFile(file));
+
+            item.append(preview, details, removeBtn);
+            this.list.appendChild(item);
+        });
+    }
+
+    /**
+     * Show why files were rejected
+     * @param {string[]} errors - The rejection messages
+     */
+    showErrors(errors) {
+        this.errorElement.textContent = errors.join('. ');
+        this.errorElement.hidden = errors.length === 0;
+    }
+
+    /**
+     * Describe the chosen files for the review step
+     * @returns {string[]} - One "name (size)" entry per file
+     */
+    getSummary() {
+        return this.files.map(file => `${file.name} (${this.formatSize(file.size)})`);
+    }
+
+    /**
+     * Upload the chosen files to the configured endpoint
+     * @returns {Promise<Array<{name: string, url: string}>>} - The uploaded file links
+     */
+    async upload() {
+        const body = new FormData();
+        body.append('formId', this.formId);
+        this.files.forEach(file => body.append('files', file, file.name));
+
+        // A stalled upload would otherwise hold up the submission forever
+        const timeout = this.options.timeout || DEFAULT_UPLOAD_TIMEOUT;
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+
+        try {
+            const response = await fetch(this.options.uploadUrl, {
+                method: 'POST',
+                body,
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`Upload failed with status ${response.status}`);
+            }
+
+            const result = await response.json();
+            if (!result || !Array.isArray(result.files)) {
+                throw new Error('Upload response did not include any files');
+            }
+
+            return result.files;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`Upload timed out after ${timeout} ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Format uploaded file links as a block for the case description
+     * @param {Array<{name: string, url: string}>} links - The uploaded file links
+     * @returns {string} - The description block
+     */
+    formatLinks(links) {
+        return '\n\nAttachments:\n' + links.map(link => `- ${link.name}: ${link.url}`).join('\n');
+    }
+
+    /**
+     * Format a byte count for display
+     * @param {number} bytes - The size in bytes
+     * @returns {string} - The human-readable size
+     */
+    formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+}
@@ -0,0 +1,204 @@
+/**
+ * Embeddable Case Form
+ * Packages the form as a <beeversity-case-form> custom element for the LMS, the student
+ * portal and any other page that wants it, rendered in a shadow root so neither page's
+ * styles leak into the other. Import it as an ES module:
+ *
+ *   <script type="module" src="https://rykuzz.github.io/Beeversity-webToCase/beeversity-case-form.js"></script>
+ *   <beeversity-case-form config="partner-campus" language="id"></beeversity-case-form>
+ *
+ * The module is the form's public API: it also exports MultiStepForm, startCaseForm() for
+ * pages with their own copy of the markup, and startCasePage(), which index.html uses.
+ * Nothing is added to the global scope. The element's stylesheet and markup (taken from
+ * index.html) are loaded from next to this module, so there is still only one copy of the
+ * form. Relative URLs in form-schema.js (e.g. the knowledge base index) resolve against
+ * the page the markup came from, not the host page.
+ *
+ * Attributes (read when the element is connected, except `language`):
+ *   config        - Deployment configuration name from form-config.js (default: the one
+ *                   the host page selects)
+ *   language      - Language code, e.g. 'id'. Each form has its own language and copy; the
+ *                   page's own language (and its remembered preference) is left alone.
+ *   prefill       - Present to prefill (and lock) fields from the host page's query string,
+ *                   as index.html does. Otherwise only setData() fills in fields.
+ *   return-url    - Page Salesforce redirects to after the case is created
+ *   src           - Page to take the form markup from (default: index.html next to this module)
+ *   sync-history  - Present to mirror the step in the URL hash so Back/Forward move between steps
+ *
+ * Methods: goTo(step), getData(), setData(data), validate() and submit(), see MultiStepForm.
+ * Events: stepchange, validationerror, submitted and failed, dispatched on the element, and
+ * error ({ message }) when the form can't be loaded (element.ready rejects too).
+ */
+
+import { FormConfig } from './form-config.js';
+import { I18n } from './i18n.js';
+import { MultiStepForm, startCaseForm, startCasePage } from './script.js';
+
+export { MultiStepForm, startCaseForm, startCasePage };
+
+const ELEMENT_NAME = 'beeversity-case-form';
+const BASE_URL = new URL('.', import.meta.url);
+
+export class BeeversityCaseForm extends HTMLElement {
+    static get observedAttributes() {
+        return ['language'];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.form = null;
+        this.i18n = null;
+        this.ready = null;
+    }
+
+    connectedCallback() {
+        // Moving the element around the page doesn't start a second form
+        if (!this.ready) {
+            this.ready = this.render();
+            this.ready.catch(error => this.showLoadError(error));
+        }
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        if (name === 'language' && value && this.i18n) {
+            this.i18n.setLanguage(value);
+        }
+    }
+
+    /**
+     * Load the scripts and markup, then start the form in the shadow root
+     * @returns {Promise<void>}
+     */
+    async render() {
+        const src = new URL(this.getAttribute('src') || 'index.html', BASE_URL);
+        const markup = await this.loadMarkup(src);
+
+        const stylesheet = document.createElement('link');
+        stylesheet.rel = 'stylesheet';
+        stylesheet.href = new URL('style.css', BASE_URL).toString();
+        this.shadowRoot.append(stylesheet, markup);
+
+        const overrides = {};
+        if (this.hasAttribute('return-url')) {
+            overrides.returnUrl = this.getAttribute('return-url');
+        }
+        const config = FormConfig.create(this.getAttribute('config') || FormConfig.getSelectedName(), overrides);
+        config.applyTheme(this);
+
+        // Only the shadow root is translated; the host page keeps its own language
+        this.i18n = I18n.create(this.getAttribute('language'));
+        config.applyCopy(this.i18n);
+        this.i18n.init(this.shadowRoot);
+
+        this.form = startCaseForm(this.shadowRoot, config, {
+            syncHistory: this.hasAttribute('sync-history'),
+            prefillFromUrl: this.hasAttribute('prefill'),
+            baseUrl: src.toString(),
+            i18n: this.i18n
+        });
+    }
+
+    /**
+     * Replace whatever was rendered with an error message and tell the host page, which
+     * can also catch element.ready
+     * @param {Error} error - Why the form couldn't start
+     */
+    showLoadError(error) {
+        console.error('Could not start the case form:', error);
+        this.form = null;
+
+        const stylesheet = document.createElement('link');
+        stylesheet.rel = 'stylesheet';
+        stylesheet.href = new URL('style.css', BASE_URL).toString();
+        const message = document.createElement('p');
+        message.className = 'error-message';
+        message.setAttribute('role', 'alert');
+        message.dataset.i18n = 'embed.loadError';
+        this.shadowRoot.replaceChildren(stylesheet, message);
+        this.i18n = I18n.create(this.getAttribute('language'));
+        this.i18n.init(this.shadowRoot);
+
+        this.dispatchEvent(new CustomEvent('error', { detail: { message: error.message } }));
+    }
+
+    /**
+     * Fetch the page holding the form and take its container
+     * @param {URL} src - The page
+     * @returns {Promise<HTMLElement>} - The form container
+     */
+    async loadMarkup(src) {
+        const response = await fetch(src);
+        if (!response.ok) {
+            throw new Error(`Could not load the case form from ${src} (${response.status})`);
+        }
+
+        const page = new DOMParser().parseFromString(await response.text(), 'text/html');
+        const container = page.querySelector('.container');
+        if (!container) {
+            throw new Error(`${src} has no case form`);
+        }
+
+        // The host page has its own main landmark, so the form goes in a plain container
+        const wrapper = document.createElement('div');
+        wrapper.className = container.className;
+        wrapper.append(...document.importNode(container, true).childNodes);
+        return wrapper;
+    }
+
+    /**
+     * Get the running form
+     * @returns {MultiStepForm} - The form
+     */
+    requireForm() {
+        if (!this.form) {
+            throw new Error(`<${ELEMENT_NAME}> isn't ready yet; wait for element.ready`);
+        }
+        return this.form;
+    }
+
+    /**
+     * Show a step, as long as every step before it is complete
+     * @param {number|string} step - The 1-based step number or the step ID
+     * @returns {boolean} - Whether the form moved to the step
+     */
+    goTo(step) {
+        return this.requireForm().goTo(step);
+    }
+
+    /**
+     * Get the values that would be submitted
+     * @returns {Object<string, string>} - Values keyed by field ID
+     */
+    getData() {
+        return this.requireForm().getData();
+    }
+
+    /**
+     * Fill in fields
+     * @param {Object<string, string>} data - Values keyed by field ID
+     */
+    setData(data) {
+        this.requireForm().setData(data);
+    }
+
+    /**
+     * Validate every step, showing the first one with errors
+     * @returns {boolean} - Whether the whole form is valid
+     */
+    validate() {
+        return this.requireForm().validate();
+    }
+
+    /**
+     * Submit the form; listen for `submitted` and `failed` for the outcome
+     * @returns {boolean} - Whether the submission started
+     */
+    submit() {
+        return this.requireForm().submit();
+    }
+}
+
+if (!customElements.get(ELEMENT_NAME)) {
+    customElements.define(ELEMENT_NAME, BeeversityCaseForm);
+}
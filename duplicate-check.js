@@ -0,0 +1,195 @@
+/**
+ * Duplicate Detection
+ * Remembers the cases recently sent from this browser, so a student who isn't sure
+ * their first request went through is warned before sending the same one again.
+ *
+ * Only hashes and a timestamp are stored: a fingerprint of the email and reason, and a
+ * hash of each word of the normalized subject (lowercased, accents and punctuation
+ * removed). A case counts as a repeat when the fingerprint matches and the subjects share
+ * at least `similarity` of their words (shared words / all words), so "Can't log in to
+ * portal" and "portal: can't log in" match, and so does a subject with a word added,
+ * changed or misspelt.
+ *
+ * A native POST is only remembered once it was accepted: until the success page calls
+ * DuplicateDetector.confirmSubmission(), its fingerprint waits in sessionStorage.
+ */
+
+const RECENT_CASES_PREFIX = 'beeversity-recent-cases:';
+const PENDING_CASE_PREFIX = 'beeversity-pending-case:';
+const DEFAULT_SIMILARITY = 0.6;
+
+export class DuplicateDetector {
+    /**
+     * @param {Object} options - The schema `duplicateCheck` configuration
+     * @param {string} formId - The schema form ID, used to key the history
+     */
+    constructor(options, formId) {
+        this.options = options;
+        this.formId = formId;
+        this.storageKey = `${RECENT_CASES_PREFIX}${formId}`;
+    }
+
+    /**
+     * Remember a native POST once the success page shows Salesforce accepted it
+     * @param {string} submissionId - The client submission ID from the success page URL
+     */
+    static confirmSubmission(submissionId) {
+        if (!submissionId) return;
+
+        const key = `${PENDING_CASE_PREFIX}${submissionId}`;
+        let pending = null;
+        try {
+            pending = JSON.parse(sessionStorage.getItem(key));
+            sessionStorage.removeItem(key);
+        } catch (error) {
+            console.warn('Could not read the pending case:', error);
+        }
+        if (!pending || !pending.entry) return;
+
+        new DuplicateDetector(pending.options, pending.formId).addEntry(pending.entry);
+    }
+
+    /**
+     * Find the most recent submission similar to a case
+     * @param {{email: string, reason: string, subject: string}} data - The case being submitted
+     * @returns {{fingerprint: string, words: string[], submittedAt: number}|null} - The earlier submission, or null
+     */
+    findMatch(data) {
+        const { similarity = DEFAULT_SIMILARITY } = this.options;
+        const { fingerprint, words } = this.createEntry(data);
+        const matches = this.getRecent().filter(entry => (
+            entry.fingerprint === fingerprint && this.getSimilarity(entry.words || [], words) >= similarity
+        ));
+        return matches.length > 0 ? matches[matches.length - 1] : null;
+    }
+
+    /**
+     * Remember a submitted case
+     * @param {{email: string, reason: string, subject: string}} data - The submitted case
+     */
+    record(data) {
+        this.addEntry(this.createEntry(data));
+    }
+
+    /**
+     * Keep a natively posted case until the success page confirms it
+     * @param {{email: string, reason: string, subject: string}} data - The posted case
+     * @param {string} submissionId - The client submission ID added to the retURL
+     */
+    recordPending(data, submissionId) {
+        try {
+            sessionStorage.setItem(`${PENDING_CASE_PREFIX}${submissionId}`, JSON.stringify({
+                formId: this.formId,
+                options: this.options,
+                entry: this.createEntry(data)
+            }));
+        } catch (error) {
+            console.warn('Could not record submission for duplicate detection:', error);
+        }
+    }
+
+    /**
+     * Add a case to the remembered submissions
+     * @param {{fingerprint: string, words: string[]}} entry - From createEntry()
+     */
+    addEntry(entry) {
+        const { maxEntries = 20 } = this.options;
+
+        try {
+            const recent = this.getRecent();
+            recent.push({ ...entry, submittedAt: Date.now() });
+            localStorage.setItem(this.storageKey, JSON.stringify(recent.slice(-maxEntries)));
+        } catch (error) {
+            console.warn('Could not record submission for duplicate detection:', error);
+        }
+    }
+
+    /**
+     * Get the remembered submissions still inside the time window
+     * @returns {Array<{fingerprint: string, words: string[], submittedAt: number}>} - Entries, oldest first
+     */
+    getRecent() {
+        const windowStart = Date.now() - (this.options.windowHours || 24) * 60 * 60 * 1000;
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey)) || [];
+            return stored.filter(entry => entry.submittedAt > windowStart);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Build what is remembered of a case
+     * @param {{email: string, reason: string, subject: string}} data - The case
+     * @returns {{fingerprint: string, words: string[]}} - The email and reason fingerprint
+     *                                                   and the hashed subject words
+     */
+    createEntry(data) {
+        return {
+            fingerprint: this.fingerprint(data),
+            words: this.getSubjectWords(data.subject).map(word => this.hash(word))
+        };
+    }
+
+    /**
+     * Build the fingerprint of a case's sender and reason
+     * @param {{email: string, reason: string}} data - The case
+     * @returns {string} - A hex hash
+     */
+    fingerprint({ email, reason }) {
+        return this.hash([
+            String(email || '').trim().toLowerCase(),
+            reason || ''
+        ].join('\n'));
+    }
+
+    /**
+     * Reduce a subject to its unique words
+     * @param {string} subject - The subject as typed
+     * @returns {string[]} - Lowercased words without accents or punctuation
+     */
+    getSubjectWords(subject) {
+        const words = String(subject || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim()
+            .split(' ')
+            .filter(Boolean);
+        return Array.from(new Set(words));
+    }
+
+    /**
+     * Share of words two subjects have in common
+     * @param {string[]} a - The hashed words of one subject
+     * @param {string[]} b - The hashed words of the other
+     * @returns {number} - From 0 (no word shared) to 1 (the same words)
+     */
+    getSimilarity(a, b) {
+        const all = new Set([...a, ...b]);
+        if (all.size === 0) return 1;
+
+        const shared = a.filter(word => b.includes(word)).length;
+        return shared / all.size;
+    }
+
+    /**
+     * 53-bit string hash (cyrb53); it only has to tell recent cases apart, not resist attacks
+     * @param {string} text - The text to hash
+     * @returns {string} - The hash as hex
+     */
+    hash(text) {
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ code, 2654435761);
+            h2 = Math.imul(h2 ^ code, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+    }
+}
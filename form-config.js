@@ -0,0 +1,262 @@
+/**
+ * Deployment Configurations
+ * Everything that differs between the sandbox org, the production org and partner
+ * campuses, so all of them are served from one copy of the form. The form structure
+ * itself (steps, fields, rules) stays in form-schema.js.
+ *
+ * The active configuration is picked once per page load, first match wins:
+ *   1. The `config` query parameter (e.g. index.html?config=sandbox). It is remembered
+ *      for the browser tab so the success page keeps the same theme and copy.
+ *   2. The configuration whose `hostnames` include the current hostname
+ *   3. DEFAULT_CONFIG
+ *
+ * Configuration options:
+ *   extends      - Name of another configuration to start from
+ *   hostnames    - Hostnames that select this configuration automatically
+ *   orgId        - Salesforce org ID, posted as `orgid` and added to the endpoint
+ *   endpoint     - Web-to-Case URL the form posts to
+ *   returnUrl    - Success page Salesforce redirects to (retURL)
+ *   recordTypes  - Record type ID for each department key used in the schema's
+ *                  dependentPicklists. Departments without an ID are left out of the form.
+ *   picklists    - Per-department overrides of the allowed values, e.g.
+ *                  { finance: { reason: ['Tuition Fee Inquiry', 'Other'] } }
+ *   theme        - CSS custom properties set on the page, e.g. { '--medium-purple': '#1D4E89' }
+ *   copy         - Message overrides per language, e.g. { en: { 'index.heading': '...' } }
+ *   uploadUrl    - Attachment upload endpoint (see attachments.js). The attachment field
+ *                  is hidden when there's none.
+ *   survey       - Success page feedback survey (see survey.js): { endpoint, timeout,
+ *                  retries, retryDelay }. The survey is hidden when there's no endpoint.
+ *   analyticsAdapters - Analytics adapters added to the schema's (see analytics.js), e.g.
+ *                  the 'local' one that keeps events in localStorage for inspection
+ */
+
+import { I18n } from './i18n.js';
+
+const CONFIG_QUERY_PARAM = 'config';
+const CONFIG_STORAGE_KEY = 'beeversity-config';
+const DEFAULT_CONFIG = 'production';
+
+const formConfigs = {
+    production: {
+        hostnames: ['rykuzz.github.io'],
+        orgId: '00DNS00000QWoKT',
+        endpoint: 'https://webto.salesforce.com/servlet/servlet.WebToCase?encoding=UTF-8',
+        returnUrl: 'https://rykuzz.github.io/Beeversity-webToCase/success.html',
+        recordTypes: {
+            academic: '012NS0000086hDl',
+            finance: '012NS0000086hC9',
+            it: '012NS0000086ez3',
+            general: '012NS000006eYp7'
+        },
+        picklists: {},
+        theme: {},
+        copy: {},
+        // Set an endpoint implementing the contract in attachments.js to offer attachments
+        uploadUrl: '',
+        // Set an endpoint that accepts JSON POSTs to show the feedback survey
+        survey: null,
+        analyticsAdapters: []
+    },
+    // Record type IDs survive a sandbox refresh but the org ID doesn't: copy the new one
+    // from Setup > Company Information after every refresh. Until it is set, the form
+    // refuses to submit rather than send test cases to the production org.
+    sandbox: {
+        extends: 'production',
+        hostnames: ['localhost', '127.0.0.1'],
+        orgId: '',
+        endpoint: 'https://test.salesforce.com/servlet/servlet.WebToCase?encoding=UTF-8',
+        returnUrl: 'success.html',
+        // Local stubs for attachments and the feedback survey: `npm run stub`
+        uploadUrl: 'http://localhost:8787/upload',
+        survey: {
+            endpoint: 'http://localhost:8787/survey'
+        },
+        // Keep the latest funnel events in localStorage for inspection while testing
+        analyticsAdapters: [
+            { type: 'local', console: false, maxEvents: 200 }
+        ],
+        copy: {
+            en: { 'index.subtitle': '[SANDBOX] Cases go to the test org' },
+            id: { 'index.subtitle': '[SANDBOX] Kasus dikirim ke org uji' }
+        }
+    },
+    // Example partner campus: production org, own theme and copy, no Finance department
+    'partner-campus': {
+        extends: 'production',
+        hostnames: [],
+        recordTypes: {
+            finance: null
+        },
+        picklists: {
+            general: { reason: ['Student ID Card Replacement', 'Other'] }
+        },
+        theme: {
+            '--dark-purple': '#15304F',
+            '--medium-purple': '#1D4E89',
+            '--light-purple': '#8FB3DE',
+            '--pale-pink': '#DCE8F5'
+        },
+        copy: {
+            en: { 'index.heading': '🎓 Partner Campus Support' },
+            id: { 'index.heading': '🎓 Layanan Kampus Mitra' }
+        }
+    }
+};
+
+export const FormConfig = {
+    name: DEFAULT_CONFIG,
+    current: null,
+
+    /**
+     * Pick the active configuration, then apply its theme and copy to the page. Called by
+     * pages that are the form (index.html, success.html), not by pages embedding it.
+     */
+    init() {
+        this.name = this.getSelectedName();
+        this.current = this.resolve(this.name);
+        this.applyTheme();
+        this.applyCopy();
+    },
+
+    /**
+     * Create a configuration object for another named configuration, e.g. for an embedded
+     * form that picks its own with the `config` attribute
+     * @param {string} name - A key of formConfigs
+     * @param {Object} overrides - Options replacing the resolved ones (e.g. { returnUrl })
+     * @returns {Object} - An object with the same methods as FormConfig
+     */
+    create(name, overrides = {}) {
+        if (!formConfigs[name]) {
+            throw new Error(`Unknown form configuration "${name}"`);
+        }
+
+        const config = Object.create(FormConfig);
+        config.name = name;
+        config.current = { ...this.resolve(name), ...overrides };
+        return config;
+    },
+
+    /**
+     * Get the name of the configuration for this page load
+     * @returns {string} - A key of formConfigs
+     */
+    getSelectedName() {
+        const requested = new URLSearchParams(window.location.search).get(CONFIG_QUERY_PARAM);
+
+        try {
+            if (requested && formConfigs[requested]) {
+                sessionStorage.setItem(CONFIG_STORAGE_KEY, requested);
+                return requested;
+            }
+            const stored = sessionStorage.getItem(CONFIG_STORAGE_KEY);
+            if (stored && formConfigs[stored]) return stored;
+        } catch (error) {
+            console.warn('Could not remember the form configuration:', error);
+            if (requested && formConfigs[requested]) return requested;
+        }
+
+        if (requested) {
+            console.warn(`Unknown form configuration "${requested}"`);
+        }
+
+        const hostname = window.location.hostname;
+        const match = Object.keys(formConfigs).find(name => (formConfigs[name].hostnames || []).includes(hostname));
+        return match || DEFAULT_CONFIG;
+    },
+
+    /**
+     * Merge a configuration with the ones it extends
+     * @param {string} name - A key of formConfigs
+     * @returns {Object} - The complete configuration
+     */
+    resolve(name) {
+        const config = formConfigs[name];
+        if (!config.extends) return config;
+
+        const base = this.resolve(config.extends);
+        const copy = { ...base.copy };
+        Object.entries(config.copy || {}).forEach(([language, messages]) => {
+            copy[language] = { ...copy[language], ...messages };
+        });
+
+        return {
+            ...base,
+            ...config,
+            recordTypes: { ...base.recordTypes, ...config.recordTypes },
+            picklists: { ...base.picklists, ...config.picklists },
+            theme: { ...base.theme, ...config.theme },
+            copy
+        };
+    },
+
+    /**
+     * Set the theme tokens as CSS custom properties
+     * @param {HTMLElement} target - The element to theme (the whole page by default)
+     */
+    applyTheme(target = document.documentElement) {
+        Object.entries(this.current.theme || {}).forEach(([property, value]) => {
+            target.style.setProperty(property, value);
+        });
+    },
+
+    /**
+     * Add the copy overrides to the message bundles
+     * @param {Object} i18n - The catalog to add them to (default: the page's I18n)
+     */
+    applyCopy(i18n = I18n) {
+        Object.entries(this.current.copy || {}).forEach(([language, messages]) => {
+            i18n.addMessages(language, messages);
+        });
+    },
+
+    /**
+     * Get the Web-to-Case URL for the configured org
+     * @returns {string} - The endpoint with the orgId parameter set
+     */
+    getEndpoint() {
+        const url = new URL(this.current.endpoint, window.location.href);
+        url.searchParams.set('orgId', this.current.orgId);
+        return url.toString();
+    },
+
+    /**
+     * Get the success page URL Salesforce should redirect to
+     * @returns {string} - An absolute URL
+     */
+    getReturnUrl() {
+        return new URL(this.current.returnUrl, window.location.href).toString();
+    },
+
+    /**
+     * Fill in the deployment specific parts of a form schema
+     * @param {Object} schema - The schema from form-schema.js
+     * @returns {Object} - A copy with the record type IDs, picklist overrides, upload URL and
+     *                     analytics adapters applied
+     */
+    applyToSchema(schema) {
+        const { recordTypes, picklists, uploadUrl, analyticsAdapters = [] } = this.current;
+        const resolved = { ...schema };
+
+        if (schema.attachments && uploadUrl) {
+            resolved.attachments = { ...schema.attachments, uploadUrl };
+        }
+
+        if (schema.analytics && analyticsAdapters.length > 0) {
+            resolved.analytics = { ...schema.analytics, adapters: [...schema.analytics.adapters, ...analyticsAdapters] };
+        }
+
+        if (schema.dependentPicklists) {
+            // The schema lists departments by key; the form works with record type IDs
+            const values = {};
+            Object.entries(schema.dependentPicklists.values).forEach(([department, entry]) => {
+                const recordTypeId = recordTypes[department];
+                if (recordTypeId) {
+                    values[recordTypeId] = { ...entry, ...picklists[department], department };
+                }
+            });
+            resolved.dependentPicklists = { ...schema.dependentPicklists, values };
+        }
+
+        return resolved;
+    }
+};
@@ -0,0 +1,490 @@
+/**
+ * Student Support Case Form Schema
+ * Describes the steps, fields, validation rules and review labels used by MultiStepForm.
+ * Other departments can copy this file (and the matching markup) to build a new
+ * Web-to-Case form with any number of steps without editing script.js.
+ *
+ * Form options:
+ *   id           - Unique form identifier (used to key saved drafts)
+ *   version      - Bump when fields change so older drafts are discarded
+ *   draftExpiryHours - How long an unfinished draft can be restored
+ *
+ * Step options:
+ *   id           - Step identifier (used for message keys, e.g. steps.<id>.title)
+ *   title        - Label shown in the step indicator
+ *   reviewTitle  - Heading of the step's section on the review step
+ *   review       - Marks the review & submit step (rendered from the other steps)
+ *   fields       - Fields collected on the step, in validation order
+ *
+ * Dependent picklists (dependentPicklists):
+ *   Works like Salesforce controlling/dependent picklists. `controllingField` is the
+ *   field whose value (a record type ID) selects an entry in `values`; each entry lists
+ *   the values allowed in every field named in `dependentFields`, plus the `help` text
+ *   shown under the controlling field. Entries are keyed by department; form-config.js
+ *   maps each department to the record type ID of the active org.
+ *
+ * Attachments (attachments):
+ *   fieldId      - ID of the file input inside the attachment drop zone
+ *   uploadUrl    - Upload endpoint (see attachments.js for the request/response contract).
+ *                  Set per deployment by form-config.js; the attachment field stays hidden
+ *                  while it is empty.
+ *   accept       - Allowed MIME types and file extensions
+ *   maxFiles     - Maximum number of files
+ *   maxFileSize  - Maximum size of each file, in bytes
+ *   timeout      - Milliseconds before an upload counts as failed (default 60000)
+ *
+ * Submission (submission):
+ *   mode         - 'native' posts the form normally; 'ajax' sends it with fetch (see submission.js)
+ *   endpoint     - Where ajax mode posts the case (defaults to the form's action, which is
+ *                  set from the active configuration in form-config.js)
+ *   opaqueResponse - Send with no-cors and treat any delivered request as a success.
+ *                  Needed for Salesforce directly, which doesn't allow reading its response;
+ *                  set to false when posting through a proxy that returns real status codes.
+ *   timeout      - Milliseconds before a request (or a stalled native POST) counts as failed
+ *   retries      - Extra attempts after a network error, timeout or 5xx/429 response
+ *   retryDelay   - Delay before the first retry in milliseconds, doubled for each retry
+ *
+ * Success page (returnParams):
+ *   Maps success page query parameters to field IDs. Their readable values are added
+ *   to the retURL, together with a client-generated submissionId and submittedAt.
+ *
+ * Receipt (receipt, see receipt.js):
+ *   fields       - Field IDs, in order, included in the downloadable receipt on the success
+ *                  page. Multi-line fields get their own section below the other details.
+ *
+ * Spam protection (spamProtection, see spam-protection.js):
+ *   honeypotFieldId  - ID of a hidden field that people never fill in
+ *   minSecondsToSubmit - Reject submissions made sooner than this after the page loads
+ *   rateLimit        - { maxSubmissions, windowMinutes } allowed per browser
+ *   challenge        - Optional { provider, tokenField, ... } challenge hook; 'local-stub'
+ *                      is available for development ({ provider: 'local-stub', stubResult: 'fail' }
+ *                      simulates a failed challenge)
+ *
+ * Knowledge base suggestions (knowledgeBase, see knowledge-base.js):
+ *   containerId  - ID of the element the suggestions are rendered into
+ *   indexUrl     - URL of the JSON article index (relative URLs resolve against the form's page)
+ *   minScore     - Minimum match score for an article to be suggested
+ *   maxSuggestions - How many articles to show at most
+ *   deflectionUrl - Optional endpoint that receives a beacon for every "This solved my problem"
+ *
+ * Analytics (analytics, see analytics.js):
+ *   adapters     - Where events go, e.g. { type: 'beacon', url, batchSize } (sendBeacon) and
+ *                  { type: 'local', console: true, maxEvents: 200 } (console + localStorage).
+ *                  Deployment configurations can add more (form-config.js `analyticsAdapters`);
+ *                  the sandbox adds the 'local' one. Events carry step numbers, field IDs,
+ *                  rule names, counts and durations only.
+ *
+ * Normalization (normalization, see normalization.js):
+ *   phoneRegion  - Region assumed for phone numbers without a country code ('ID' -> +62)
+ *   emailDomains - Common email providers; near misses (gmial.com) get a "Did you mean" suggestion
+ *   Text fields are always trimmed, collapsed and cut to their maxlength on submit; the review
+ *   shows them that way without changing what was typed.
+ *
+ * Duplicate detection (duplicateCheck, see duplicate-check.js):
+ *   windowHours  - How long a sent case is remembered in this browser
+ *   maxEntries   - How many recent cases are remembered at most
+ *   similarity   - Share of subject words (0-1) a case must have in common with a
+ *                  remembered one from the same email and reason to count as a repeat
+ *   The review step warns when the email and reason match a remembered case and the
+ *   subject is similar, and the case is only sent again after the student confirms.
+ *
+ * Priority guidance (priorityGuidance):
+ *   descriptions - What qualifies for each priority value, shown under the priority picker
+ *   suggestions  - Ordered rules like { reason: 'Password Reset', priority: 'High' } or
+ *                  { type: 'Payment Issue', priority: 'High' }; the first match is suggested
+ *                  (and preselected until the student picks a priority themselves)
+ *   defaultPriority - Suggested when no rule matches
+ *
+ * Description guide (descriptionGuide):
+ *   fieldId      - The textarea that gets the template button, counter and quality hint
+ *   templates    - Questions to answer for each reason, inserted into the textarea on request
+ *   defaultTemplate - Questions for reasons without their own template
+ *   goodLength   - Characters of answers (not counting the questions) a description needs
+ *                  before it's considered detailed
+ *   vaguePhrases - Phrases that say nothing on their own ("doesn't work"); short descriptions
+ *                  containing one get a hint asking for specifics
+ *   Template questions don't count towards the field's minLength.
+ *
+ * Prefill and deep links (prefill):
+ *   params       - Whitelist mapping query parameters to field IDs; nothing else is read
+ *   payloadParam - Parameter holding the same keys as base64url-encoded JSON. It is not
+ *                  verified in the browser, so it is treated exactly like plain parameters
+ *                  (whitelisted, then validated by the field rules).
+ *   lockParam    - Parameter that locks prefilled fields: '1' locks all of them, or a
+ *                  comma-separated list of parameter names (e.g. lock=name,email)
+ *   Example: index.html?name=Ana&email=ana@example.com&department=012NS0000086hC9&lock=name,email
+ *
+ * Translations:
+ *   The text in this file is the English default. Message bundles in locales/ can
+ *   override it with steps.<stepId>.<title|reviewTitle>, fields.<fieldId>.<label|message|rule>,
+ *   departments.<department>.help, descriptionGuide.templates.<reason>,
+ *   descriptionGuide.defaultTemplate and descriptionGuide.vaguePhrases keys (lists are
+ *   written one entry per line).
+ *
+ * Field options:
+ *   id           - ID of the input/select/textarea in the markup
+ *   name         - Salesforce Web-to-Case field name posted with the form
+ *   label        - Label used on the review step
+ *   required     - Whether a value must be provided
+ *   minLength    - Minimum number of characters (after trimming)
+ *   pattern      - Regular expression source the value must match
+ *   format       - Built-in format check and normalization ('email' or 'phone', see normalization.js)
+ *   message      - Error message shown when any rule fails
+ *   messages     - Optional per-rule overrides of `message` (required, minLength, maxLength, pattern,
+ *                  format, dependency). maxLength only applies to the description, which has to
+ *                  fit its maxlength together with the blocks added to it on submit.
+ *   showWhen     - Only show (and validate and submit) the field when another field has one of
+ *                  the listed values: { field: 'reason', values: ['Course Registration'] }
+ *   addToDescription - Post the value in an "Additional details" block at the end of the
+ *                  description (counted towards its maxlength) instead of as its own field. Leave it out and set `name` to a
+ *                  custom Salesforce field (e.g. '00N...') to map the value directly.
+ *   emptyText    - Review text when no value is provided
+ *   reviewMaxLength - Truncate the review text to this many characters
+ *   fullWidth    - Span the full width of the review grid
+ */
+
+export const caseFormSchema = {
+    id: 'student-support-case',
+    version: 1,
+    draftExpiryHours: 72,
+    steps: [
+        {
+            id: 'contact',
+            title: 'Contact Info',
+            reviewTitle: 'Contact Information',
+            fields: [
+                {
+                    id: 'name',
+                    name: 'name',
+                    label: 'Name',
+                    required: true,
+                    message: 'Please enter your full name'
+                },
+                {
+                    id: 'email',
+                    name: 'email',
+                    label: 'Email',
+                    required: true,
+                    format: 'email',
+                    message: 'Please enter a valid email address'
+                },
+                {
+                    id: 'phone',
+                    name: 'phone',
+                    label: 'Phone',
+                    format: 'phone',
+                    message: 'Please enter a valid phone number, e.g. 0812 3456 7890 or +62 812 3456 7890'
+                },
+                {
+                    id: 'company',
+                    name: 'company',
+                    label: 'Institution'
+                }
+            ]
+        },
+        {
+            id: 'details',
+            title: 'Case Details',
+            reviewTitle: 'Case Details',
+            fields: [
+                {
+                    id: 'recordType',
+                    name: 'recordType',
+                    label: 'Department',
+                    required: true,
+                    message: 'Please select a department category'
+                },
+                {
+                    id: 'type',
+                    name: 'type',
+                    label: 'Type',
+                    required: true,
+                    message: 'Please select a request type',
+                    messages: {
+                        dependency: 'This request type is not available for the selected department'
+                    }
+                },
+                {
+                    id: 'reason',
+                    name: 'reason',
+                    label: 'Issue',
+                    required: true,
+                    message: 'Please select a specific issue',
+                    messages: {
+                        dependency: 'This issue is not handled by the selected department'
+                    }
+                },
+                {
+                    id: 'studentId',
+                    label: 'Student ID',
+                    required: true,
+                    pattern: '^\\d{8,12}$',
+                    message: 'Please enter your student ID (8 to 12 digits)',
+                    showWhen: { field: 'reason', values: ['Student ID Card Replacement', 'Transcript Request'] },
+                    addToDescription: true
+                },
+                {
+                    id: 'courseCode',
+                    label: 'Course Code',
+                    required: true,
+                    pattern: '^[A-Za-z]{2,4}\\s?\\d{3,4}$',
+                    message: 'Please enter a course code such as CS101',
+                    showWhen: { field: 'reason', values: ['Course Registration', 'Grade Inquiry'] },
+                    addToDescription: true
+                },
+                {
+                    id: 'invoiceNumber',
+                    label: 'Invoice Number',
+                    required: true,
+                    pattern: '^[A-Za-z0-9-]{4,20}$',
+                    message: 'Please enter the invoice number from your tuition bill',
+                    showWhen: { field: 'reason', values: ['Tuition Fee Inquiry'] },
+                    addToDescription: true
+                },
+                {
+                    id: 'priority',
+                    name: 'priority',
+                    label: 'Priority',
+                    required: true,
+                    message: 'Please select a priority level'
+                },
+                {
+                    id: 'priorityJustification',
+                    label: 'Priority Justification',
+                    required: true,
+                    minLength: 15,
+                    fullWidth: true,
+                    message: 'Please explain briefly why this needs Critical or Urgent handling (at least 15 characters)',
+                    showWhen: { field: 'priority', values: ['Critical', 'Urgent'] },
+                    addToDescription: true
+                },
+                {
+                    id: 'subject',
+                    name: 'subject',
+                    label: 'Subject',
+                    required: true,
+                    fullWidth: true,
+                    message: 'Please enter a subject for your request'
+                },
+                {
+                    id: 'description',
+                    name: 'description',
+                    label: 'Description',
+                    required: true,
+                    minLength: 10,
+                    fullWidth: true,
+                    message: 'Please provide a detailed description (at least 10 characters)',
+                    messages: {
+                        maxLength: 'Please shorten your description so it fits together with the additional details and attachment links added to it'
+                    }
+                }
+            ]
+        },
+        {
+            id: 'review',
+            title: 'Review & Submit',
+            review: true
+        }
+    ],
+    dependentPicklists: {
+        controllingField: 'recordType',
+        dependentFields: ['type', 'reason'],
+        values: {
+            // Academic & Student Affairs
+            academic: {
+                help: 'Academic & Student Affairs handles course registration, grades, transcripts, and academic advising.',
+                type: ['Question', 'Problem', 'Request', 'Grade Dispute', 'Guidance', 'Other'],
+                reason: ['Student ID Card Replacement', 'Course Registration', 'Grade Inquiry', 'Academic Advising', 'Transcript Request', 'Other']
+            },
+            // Finance & Administration
+            finance: {
+                help: 'Finance & Administration handles tuition fees, scholarships, payments, and financial aid.',
+                type: ['Question', 'Problem', 'Request', 'Payment Issue', 'Other'],
+                reason: ['Tuition Fee Inquiry', 'Scholarship Application', 'Other']
+            },
+            // IT Support Request
+            it: {
+                help: 'IT Support handles technical issues with systems, passwords, software, and network connectivity.',
+                type: ['Question', 'Problem', 'Request', 'Other'],
+                reason: ['Password Reset', 'Student Portal Access', 'Network Connectivity', 'Hardware Issue', 'Software Installation', 'Other']
+            },
+            // General Inquiry
+            general: {
+                help: 'General inquiries and other requests that don\'t fit into specific categories.',
+                type: ['Question', 'Request', 'Guidance', 'Other'],
+                reason: ['Student Portal Access', 'Student ID Card Replacement', 'Other']
+            }
+        }
+    },
+    attachments: {
+        fieldId: 'attachments',
+        uploadUrl: '',
+        accept: ['image/png', 'image/jpeg', 'application/pdf', '.png', '.jpg', '.jpeg', '.pdf'],
+        maxFiles: 3,
+        maxFileSize: 5 * 1024 * 1024,
+        timeout: 60000
+    },
+    submission: {
+        mode: 'native',
+        opaqueResponse: true,
+        timeout: 15000,
+        retries: 3,
+        retryDelay: 1000
+    },
+    returnParams: {
+        priority: 'priority',
+        department: 'recordType',
+        type: 'type',
+        subject: 'subject'
+    },
+    receipt: {
+        fields: ['name', 'email', 'phone', 'recordType', 'type', 'reason', 'priority', 'subject', 'description']
+    },
+    knowledgeBase: {
+        containerId: 'kbSuggestions',
+        indexUrl: 'articles.json',
+        minScore: 2,
+        maxSuggestions: 3,
+        deflectionUrl: ''
+    },
+    normalization: {
+        phoneRegion: 'ID',
+        emailDomains: [
+            'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.id', 'ymail.com', 'hotmail.com',
+            'outlook.com', 'live.com', 'icloud.com', 'mail.com', 'protonmail.com'
+        ]
+    },
+    duplicateCheck: {
+        windowHours: 24,
+        maxEntries: 20,
+        similarity: 0.6
+    },
+    priorityGuidance: {
+        descriptions: {
+            Critical: 'A campus-wide outage or safety issue, or something stopping you from sitting an exam today.',
+            Urgent: 'Blocks your studies with a deadline in the next 24 hours, such as registration closing today.',
+            High: 'Stops you from doing something important, but there is a workaround or a few days left.',
+            Medium: 'Causes problems and should be looked at this week.',
+            Normal: 'General requests and questions without a deadline.',
+            Low: 'Information requests and suggestions that can wait.'
+        },
+        suggestions: [
+            { reason: 'Password Reset', priority: 'High' },
+            { reason: 'Student Portal Access', priority: 'High' },
+            { reason: 'Course Registration', priority: 'High' },
+            { reason: 'Network Connectivity', priority: 'Medium' },
+            { reason: 'Hardware Issue', priority: 'Medium' },
+            { reason: 'Tuition Fee Inquiry', priority: 'Medium' },
+            { reason: 'Software Installation', priority: 'Low' },
+            { type: 'Payment Issue', priority: 'High' },
+            { type: 'Grade Dispute', priority: 'Medium' },
+            { type: 'Question', priority: 'Low' }
+        ],
+        defaultPriority: 'Normal'
+    },
+    descriptionGuide: {
+        fieldId: 'description',
+        templates: {
+            'Password Reset': [
+                'Which account or system can\'t you sign in to?',
+                'What happens when you try to sign in? Copy any error message.',
+                'When did you last sign in successfully?'
+            ],
+            'Student Portal Access': [
+                'Which page or feature of the portal were you trying to use?',
+                'What happened instead? Copy any error message.',
+                'Which browser and device are you using?',
+                'When did it start?'
+            ],
+            'Network Connectivity': [
+                'Where on campus are you (building and room)?',
+                'Which network are you connecting to (e.g. Beeversity-WiFi)?',
+                'What happens when you try to connect?',
+                'When did it start, and does it affect other devices?'
+            ],
+            'Hardware Issue': [
+                'Which device is affected (lab PC number, printer name or your own device)?',
+                'What is wrong with it?',
+                'When did it start?'
+            ],
+            'Software Installation': [
+                'Which software and version do you need?',
+                'Which course or project is it for?',
+                'Which device should it be installed on?'
+            ],
+            'Course Registration': [
+                'Which course and class do you want to register for?',
+                'What happened when you tried to register? Copy any error message.',
+                'When does registration close for you?'
+            ],
+            'Grade Inquiry': [
+                'Which course and assessment is this about?',
+                'What grade did you receive, and what did you expect?',
+                'Have you already spoken to the lecturer?'
+            ],
+            'Academic Advising': [
+                'What would you like advice on?',
+                'Which program and semester are you in?',
+                'Is there a deadline for your decision?'
+            ],
+            'Transcript Request': [
+                'Do you need an official or unofficial transcript?',
+                'How many copies, and where should they be sent?',
+                'By when do you need it?'
+            ],
+            'Student ID Card Replacement': [
+                'Was your card lost, stolen or damaged?',
+                'When did it happen?',
+                'Which campus will you collect the new card from?'
+            ],
+            'Tuition Fee Inquiry': [
+                'Which semester and fee is this about?',
+                'What is your question about the amount or payment?',
+                'Have you already made a payment? If so, when and how?'
+            ],
+            'Scholarship Application': [
+                'Which scholarship are you applying for?',
+                'What do you need help with?',
+                'When is the application deadline?'
+            ]
+        },
+        defaultTemplate: [
+            'What were you trying to do?',
+            'What happened instead? Copy any error message you saw.',
+            'When did it start?'
+        ],
+        goodLength: 100,
+        vaguePhrases: [
+            'doesn\'t work', 'does not work', 'not working', 'broken', 'error', 'problem',
+            'issue', 'help', 'please fix', 'asap', 'urgent', 'same as before'
+        ]
+    },
+    prefill: {
+        params: {
+            name: 'name',
+            email: 'email',
+            phone: 'phone',
+            company: 'company',
+            department: 'recordType',
+            type: 'type',
+            reason: 'reason',
+            priority: 'priority'
+        },
+        payloadParam: 'prefill',
+        lockParam: 'lock'
+    },
+    analytics: {
+        adapters: [
+            { type: 'beacon', url: '', batchSize: 10 }
+        ]
+    },
+    spamProtection: {
+        honeypotFieldId: 'website',
+        minSecondsToSubmit: 5,
+        rateLimit: {
+            maxSubmissions: 3,
+            windowMinutes: 60
+        },
+        challenge: null
+    }
+};
@@ -0,0 +1,262 @@
+/**
+ * Internationalization
+ * Message catalog lookup, page translation and the language switcher.
+ *
+ * Bundles live in locales/<language>.js and are registered below; more can be added with
+ * I18n.addBundle().
+ * Markup is translated through attributes:
+ *   data-i18n             - Replaces the element's text
+ *   data-i18n-placeholder - Replaces the placeholder attribute
+ *   data-i18n-title       - Replaces the title attribute
+ *   data-i18n-aria-label  - Replaces the aria-label attribute
+ *   data-i18n-label       - Replaces the label attribute (optgroups)
+ * Only labels are translated; option values stay the values Salesforce expects.
+ * Only the roots passed to I18n.init() or I18n.addRoot() are translated and get the `lang`
+ * attribute: the whole document for index.html and success.html.
+ *
+ * I18n itself is the page's language: it is remembered across visits and changes are
+ * announced with a `languagechange` event on the document. Each <beeversity-case-form> gets
+ * its own catalog from I18n.create() instead, with its own copy and language, so forms on
+ * one page don't change each other or the page embedding them.
+ */
+
+import en from './locales/en.js';
+import id from './locales/id.js';
+
+const LANGUAGE_STORAGE_KEY = 'beeversity-language';
+const DEFAULT_LANGUAGE = 'en';
+
+export const I18n = {
+    bundles: { en, id },
+    language: DEFAULT_LANGUAGE,
+    roots: [],
+    listeners: [],
+    isPageLanguage: true,
+
+    /**
+     * Create a separate catalog, e.g. for an embedded form
+     * @param {string} language - Language code to start in (default: the preferred language)
+     * @returns {Object} - An object with the same methods as I18n, holding copies of the
+     *                     bundles, that doesn't remember its language or announce changes
+     *                     on the document
+     */
+    create(language) {
+        const i18n = Object.create(I18n);
+        i18n.bundles = Object.fromEntries(Object.entries(this.bundles).map(([code, bundle]) => (
+            [code, { ...bundle, messages: { ...bundle.messages } }]
+        )));
+        i18n.language = i18n.bundles[language] ? language : this.getPreferredLanguage();
+        i18n.roots = [];
+        i18n.listeners = [];
+        i18n.isPageLanguage = false;
+        return i18n;
+    },
+
+    /**
+     * Register a message bundle
+     * @param {string} language - The language code (e.g. 'en', 'id')
+     * @param {Object} bundle - { name, locale, messages }
+     */
+    addBundle(language, bundle) {
+        this.bundles[language] = bundle;
+    },
+
+    /**
+     * Add or override messages in a registered bundle
+     * @param {string} language - The language code
+     * @param {Object<string, string>} messages - Messages keyed by message key
+     */
+    addMessages(language, messages) {
+        if (!this.bundles[language]) return;
+
+        Object.assign(this.bundles[language].messages, messages);
+    },
+
+    /**
+     * Pick the stored (or browser) language, translate a root and render its switchers
+     * @param {Document|ShadowRoot} root - The root to translate (the whole page by default)
+     */
+    init(root = document) {
+        if (!this.roots.length && this.isPageLanguage) {
+            this.language = this.getPreferredLanguage();
+        }
+        this.addRoot(root);
+    },
+
+    /**
+     * Translate a root now and on every language change, and render its switchers
+     * @param {Document|ShadowRoot} root - The document or a shadow root
+     */
+    addRoot(root) {
+        if (this.roots.includes(root)) return;
+
+        this.roots.push(root);
+        this.applyLanguage();
+        root.querySelectorAll('[data-language-switcher]').forEach(container => {
+            this.renderSwitcher(container);
+        });
+    },
+
+    /**
+     * Get the remembered language, falling back to the browser language
+     * @returns {string} - A language code with a registered bundle
+     */
+    getPreferredLanguage() {
+        let stored = null;
+        try {
+            stored = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+        } catch (error) {
+            console.warn('Could not read language preference:', error);
+        }
+
+        if (stored && this.bundles[stored]) return stored;
+
+        const browserLanguage = (navigator.language || '').slice(0, 2).toLowerCase();
+        return this.bundles[browserLanguage] ? browserLanguage : DEFAULT_LANGUAGE;
+    },
+
+    /**
+     * Call a function after every language change
+     * @param {Function} listener - Called with the new language code
+     */
+    onLanguageChange(listener) {
+        this.listeners.push(listener);
+    },
+
+    /**
+     * Switch language, remember the choice (for the page's language) and notify listeners
+     * @param {string} language - The language code
+     */
+    setLanguage(language) {
+        if (!this.bundles[language] || language === this.language) return;
+
+        this.language = language;
+        if (this.isPageLanguage) {
+            try {
+                localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+            } catch (error) {
+                console.warn('Could not save language preference:', error);
+            }
+        }
+
+        this.applyLanguage();
+        this.listeners.forEach(listener => listener(language));
+        if (this.isPageLanguage) {
+            document.dispatchEvent(new CustomEvent('languagechange', { detail: { language } }));
+        }
+    },
+
+    /**
+     * Translate the roots and update their language and switcher state
+     */
+    applyLanguage() {
+        this.roots.forEach(root => {
+            (root === document ? document.documentElement : root.host).lang = this.language;
+            this.translate(root);
+            root.querySelectorAll('[data-language]').forEach(button => {
+                button.setAttribute('aria-pressed', String(button.dataset.language === this.language));
+            });
+        });
+    },
+
+    /**
+     * Get the BCP 47 locale used for dates and numbers
+     * @returns {string} - The locale (e.g. 'id-ID')
+     */
+    getLocale() {
+        return this.bundles[this.language].locale;
+    },
+
+    /**
+     * Look up a message and fill in its {placeholders}
+     * @param {string} key - The message key
+     * @param {Object} params - Placeholder values; `count` also selects a `_one`/`_other` plural form
+     * @param {string} fallback - Text to use when the current language has no such message
+     * @returns {string} - The translated message (the key itself if nothing matches)
+     */
+    t(key, params = {}, fallback) {
+        let message = this.lookup(this.language, key, params.count);
+        if (message === undefined) {
+            message = fallback !== undefined ? fallback : this.lookup(DEFAULT_LANGUAGE, key, params.count);
+        }
+        if (message === undefined || message === null) return key;
+
+        return String(message).replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    },
+
+    /**
+     * Check whether the current language has a message
+     * @param {string} key - The message key
+     * @returns {boolean} - True when the current bundle defines the key
+     */
+    has(key) {
+        return this.lookup(this.language, key) !== undefined;
+    },
+
+    /**
+     * Find a message in a bundle, preferring the plural form that matches `count`
+     * @param {string} language - The language code
+     * @param {string} key - The message key
+     * @param {number} count - Optional count for plural forms
+     * @returns {string|undefined} - The raw message
+     */
+    lookup(language, key, count) {
+        const bundle = this.bundles[language];
+        if (!bundle) return undefined;
+
+        if (count !== undefined) {
+            const plural = bundle.messages[`${key}_${count === 1 ? 'one' : 'other'}`];
+            if (plural !== undefined) return plural;
+        }
+        return bundle.messages[key];
+    },
+
+    /**
+     * Translate every marked element inside a root
+     * @param {ParentNode} root - The document or element to translate
+     */
+    translate(root) {
+        const elements = root.querySelectorAll('[data-i18n], [data-i18n-placeholder], [data-i18n-title], [data-i18n-aria-label], [data-i18n-label]');
+
+        elements.forEach(element => {
+            const { i18n, i18nPlaceholder, i18nTitle, i18nAriaLabel, i18nLabel } = element.dataset;
+            if (i18n) element.textContent = this.t(i18n);
+            if (i18nPlaceholder) element.placeholder = this.t(i18nPlaceholder);
+            if (i18nTitle) element.title = this.t(i18nTitle);
+            if (i18nAriaLabel) element.setAttribute('aria-label', this.t(i18nAriaLabel));
+            if (i18nLabel) element.label = this.t(i18nLabel);
+        });
+    },
+
+    /**
+     * Format a date in the current locale
+     * @param {Date} date - The date to format
+     * @param {Object} options - Intl.DateTimeFormat options
+     * @returns {string} - The formatted date
+     */
+    formatDate(date, options) {
+        return date.toLocaleString(this.getLocale(), options);
+    },
+
+    /**
+     * Render one button per registered language
+     * @param {HTMLElement} container - The switcher container
+     */
+    renderSwitcher(container) {
+        container.innerHTML = '';
+        container.setAttribute('role', 'group');
+        container.setAttribute('aria-label', 'Language / Bahasa');
+
+        Object.keys(this.bundles).forEach(language => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'language-option';
+            button.dataset.language = language;
+            button.lang = language;
+            button.textContent = this.bundles[language].name;
+            button.setAttribute('aria-pressed', String(language === this.language));
+            button.addEventListener('click', () => this.setLanguage(language));
+            container.appendChild(button);
+        });
+    }
+};
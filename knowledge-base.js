@@ -0,0 +1,245 @@
+/**
+ * Knowledge Base Suggestions
+ * Searches a local FAQ index while the student describes their issue and offers
+ * matching articles inline, so simple questions can be answered without filing a case.
+ *
+ * Article index (schema `knowledgeBase.indexUrl`), a JSON file shaped like:
+ *   { "articles": [{
+ *       "id": "password-reset",
+ *       "title": "How do I reset my password?",
+ *       "summary": "Short answer shown in the suggestion",
+ *       "url": "https://...",                  (optional "read more" link)
+ *       "keywords": ["password", "forgot password"],
+ *       "reasons": ["Password Reset"],         (Case reasons the article answers)
+ *       "translations": { "id": { "title": "...", "summary": "...", "url": "..." } }
+ *   }] }
+ *
+ * Deflections ("This solved my problem") are counted per article in localStorage
+ * and, when `deflectionUrl` is set, reported with navigator.sendBeacon. Reports only
+ * carry the form ID, article ID and reason - never what the student typed.
+ */
+
+import { I18n } from './i18n.js';
+
+const DEFLECTION_LOG_PREFIX = 'beeversity-deflections:';
+const MIN_KEYWORD_LENGTH = 3;
+
+export class ArticleSuggester {
+    /**
+     * @param {Object} options - The schema `knowledgeBase` configuration
+     * @param {string} formId - The schema form ID, used to key the deflection counts
+     * @param {Function} onSolved - Called with the article when the student says it solved their problem
+     * @param {Document|ShadowRoot} root - Where the form markup lives
+     * @param {Object} i18n - The message catalog (see i18n.js)
+     */
+    constructor(options, formId, onSolved, root = document, i18n = I18n) {
+        this.options = options;
+        this.i18n = i18n;
+        this.formId = formId;
+        this.onSolved = onSolved;
+        this.statsKey = `${DEFLECTION_LOG_PREFIX}${formId}`;
+        this.articles = [];
+        this.suggestions = [];
+        this.shownIds = new Set();
+        this.reason = '';
+        this.container = root.getElementById(options.containerId);
+        this.loading = this.loadArticles();
+    }
+
+    /**
+     * Fetch the article index
+     * @returns {Promise<void>}
+     */
+    async loadArticles() {
+        try {
+            const response = await fetch(this.options.indexUrl);
+            if (!response.ok) {
+                throw new Error(`Article index request failed with status ${response.status}`);
+            }
+            const index = await response.json();
+            this.articles = Array.isArray(index.articles) ? index.articles : [];
+        } catch (error) {
+            // Suggestions are a nice-to-have; the form works without them
+            console.warn('Could not load knowledge base articles:', error);
+        }
+    }
+
+    /**
+     * Search for articles matching the current text and reason and show them
+     * @param {string} text - The subject and description typed so far
+     * @param {string} reason - The selected Case reason
+     */
+    async update(text, reason) {
+        await this.loading;
+
+        this.reason = reason;
+        this.suggestions = this.search(text, reason);
+        this.suggestions.forEach(article => {
+            if (!this.shownIds.has(article.id)) {
+                this.shownIds.add(article.id);
+                this.recordStat(article.id, 'shown');
+            }
+        });
+        this.render();
+    }
+
+    /**
+     * Rank articles against the typed text and selected reason
+     * @param {string} text - The subject and description typed so far
+     * @param {string} reason - The selected Case reason
+     * @returns {Object[]} - The best matching articles, best first
+     */
+    search(text, reason) {
+        const query = this.normalize(text);
+        const words = new Set(query.split(' ').filter(word => word.length >= MIN_KEYWORD_LENGTH));
+        if (words.size === 0 && !reason) return [];
+
+        const { minScore = 2, maxSuggestions = 3 } = this.options;
+
+        return this.articles
+            .map(article => {
+                let score = 0;
+                if (reason && (article.reasons || []).includes(reason)) {
+                    score += 3;
+                }
+                (article.keywords || []).forEach(keyword => {
+                    const phrase = this.normalize(keyword);
+                    if (phrase && ` ${query} `.includes(` ${phrase} `)) {
+                        score += 2;
+                    }
+                });
+                this.normalize(this.getText(article, 'title')).split(' ').forEach(word => {
+                    if (word.length >= MIN_KEYWORD_LENGTH && words.has(word)) {
+                        score += 1;
+                    }
+                });
+                return { article, score };
+            })
+            .filter(match => match.score >= minScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, maxSuggestions)
+            .map(match => match.article);
+    }
+
+    /**
+     * Lowercase text and strip accents and punctuation for matching
+     * @param {string} text - The text to normalize
+     * @returns {string} - Space-separated words
+     */
+    normalize(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    /**
+     * Get an article property in the current language
+     * @param {Object} article - The article
+     * @param {string} property - 'title', 'summary' or 'url'
+     * @returns {string} - The translated value, or the default one
+     */
+    getText(article, property) {
+        const translation = (article.translations || {})[this.i18n.language];
+        return (translation && translation[property]) || article[property] || '';
+    }
+
+    /**
+     * Render the current suggestions
+     */
+    render() {
+        this.container.innerHTML = '';
+        this.container.hidden = this.suggestions.length === 0;
+        if (this.container.hidden) return;
+
+        const heading = document.createElement('p');
+        heading.className = 'kb-suggestions-title';
+        heading.textContent = this.i18n.t('kb.title');
+        this.container.appendChild(heading);
+
+        const list = document.createElement('ul');
+        this.suggestions.forEach(article => {
+            const item = document.createElement('li');
+            item.className = 'kb-article';
+
+            const title = document.createElement('strong');
+            title.textContent = this.getText(article, 'title');
+
+            const summary = document.createElement('p');
+            summary.textContent = this.getText(article, 'summary');
+
+            const actions = document.createElement('div');
+            actions.className = 'kb-article-actions';
+
+            const url = this.getText(article, 'url');
+            if (url) {
+                const link = document.createElement('a');
+                link.href = url;
+                link.target = '_blank';
+                link.rel = 'noopener';
+                link.textContent = this.i18n.t('kb.readMore');
+                actions.appendChild(link);
+            }
+
+            const solvedBtn = document.createElement('button');
+            solvedBtn.type = 'button';
+            solvedBtn.className = 'kb-solved';
+            solvedBtn.textContent = this.i18n.t('kb.solved');
+            solvedBtn.addEventListener('click', () => this.markSolved(article));
+            actions.appendChild(solvedBtn);
+
+            item.append(title, summary, actions);
+            list.appendChild(item);
+        });
+        this.container.appendChild(list);
+    }
+
+    /**
+     * Record a deflection and hand over to the form
+     * @param {Object} article - The article that answered the question
+     */
+    markSolved(article) {
+        this.recordStat(article.id, 'solved');
+
+        if (this.options.deflectionUrl && navigator.sendBeacon) {
+            navigator.sendBeacon(this.options.deflectionUrl, JSON.stringify({
+                formId: this.formId,
+                articleId: article.id,
+                reason: this.reason || null,
+                deflectedAt: new Date().toISOString()
+            }));
+        }
+
+        this.onSolved(article);
+    }
+
+    /**
+     * Increment a per-article counter
+     * @param {string} articleId - The article ID
+     * @param {string} stat - 'shown' or 'solved'
+     */
+    recordStat(articleId, stat) {
+        try {
+            const stats = this.getStats();
+            stats[articleId] = stats[articleId] || { shown: 0, solved: 0 };
+            stats[articleId][stat]++;
+            localStorage.setItem(this.statsKey, JSON.stringify(stats));
+        } catch (error) {
+            console.warn('Could not record knowledge base stats:', error);
+        }
+    }
+
+    /**
+     * Get the stored counters
+     * @returns {Object<string, {shown: number, solved: number}>} - Counters per article ID
+     */
+    getStats() {
+        try {
+            return JSON.parse(localStorage.getItem(this.statsKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+}
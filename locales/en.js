@@ -0,0 +1,283 @@
+/**
+ * English message bundle
+ * Field labels, validation messages, step titles and department help default to the
+ * text in form-schema.js, so they only need entries here when the wording differs.
+ */
+
+export default {
+    name: 'English',
+    locale: 'en-US',
+    messages: {
+        // index.html
+        'index.pageTitle': 'Student Support Case Form',
+        'index.heading': '🎓 Student Support Request',
+        'index.subtitle': 'Get help with academic, administrative, or technical issues',
+        'index.section.contact': '👤 Contact Information',
+        'index.section.details': '🎯 Case Details',
+        'index.section.review': '📋 Review Your Information',
+        'index.label.name': 'Full Name',
+        'index.label.email': 'Email Address',
+        'index.label.phone': 'Phone Number',
+        'index.label.company': 'Institution/Company',
+        'index.label.recordType': 'Department Category',
+        'index.label.type': 'Request Type',
+        'index.label.reason': 'Specific Issue',
+        'index.label.priority': 'Priority Level',
+        'index.label.subject': 'Subject',
+        'index.label.description': 'Detailed Description',
+        'index.label.attachments': 'Attachments',
+        'index.label.studentId': 'Student ID',
+        'index.label.courseCode': 'Course Code',
+        'index.label.invoiceNumber': 'Invoice Number',
+        'index.label.priorityJustification': 'Why is this Critical or Urgent?',
+        'index.info.name': 'Enter your complete name',
+        'index.info.email': 'We\'ll send updates to this email',
+        'index.info.phone': 'Optional contact number, e.g. 0812 3456 7890',
+        'index.info.company': 'Your school or organization',
+        'index.info.recordType': 'Choose the most relevant department',
+        'index.info.description': 'The more details you provide, the better we can help you',
+        'index.info.attachments': 'Optional — PNG, JPG or PDF, up to 3 files of 5 MB each',
+        'index.info.studentId': 'The number printed on your student card',
+        'index.info.courseCode': 'As shown in the course catalogue',
+        'index.info.invoiceNumber': 'Printed at the top of your tuition bill',
+        'index.info.priorityJustification': 'Tell us what deadline or impact makes this so urgent',
+        'index.placeholder.subject': 'Brief summary of your issue...',
+        'index.placeholder.description': 'Please provide detailed information about your issue, including steps to reproduce, error messages, and any other relevant details...',
+        'index.placeholder.studentId': 'e.g. 2023010123',
+        'index.placeholder.courseCode': 'e.g. CS101',
+        'index.placeholder.invoiceNumber': 'e.g. INV-2024-001234',
+        'index.placeholder.priorityJustification': 'e.g. My exam starts tomorrow at 8:00 and I can\'t log in to the exam portal',
+        'index.attachments.drop': '📎 Drag screenshots or receipts here, or browse',
+        'index.button.nextDetails': 'Next: Case Details',
+        'index.button.nextReview': 'Next: Review',
+        'index.button.back': 'Back',
+        'index.button.submit': '🚀 Submit Support Request',
+        'index.button.nextShortcut': 'Shortcut: Ctrl+Enter',
+        'index.button.backToReview': '✓ Back to Review',
+        'index.priorityBadge.critical': '🚨 Critical',
+        'index.priorityBadge.urgent': '⚡ Urgent',
+        'index.priorityBadge.high': '🔴 High',
+        'index.priorityBadge.medium': '🟡 Medium',
+        'index.priorityBadge.normal': '🟢 Normal',
+        'index.priorityBadge.low': '⚪ Low',
+
+        // Picklist labels (values are never translated)
+        'options.recordType.placeholder': 'Select department...',
+        'options.recordType.academic': '📚 Academic & Student Affairs',
+        'options.recordType.finance': '💰 Finance & Administration',
+        'options.recordType.it': '💻 IT Support Request',
+        'options.recordType.general': '📋 General Inquiry',
+        'options.type.placeholder': 'Select type...',
+        'options.type.question': '❓ Question',
+        'options.type.problem': '⚠️ Problem',
+        'options.type.request': '📝 Request',
+        'options.type.paymentIssue': '💳 Payment Issue',
+        'options.type.gradeDispute': '📊 Grade Dispute',
+        'options.type.guidance': '🧭 Guidance',
+        'options.type.other': '📋 Other',
+        'options.reasonGroup.account': '🔐 Account & Access',
+        'options.reasonGroup.technical': '💻 Technical Support',
+        'options.reasonGroup.academic': '📚 Academic Services',
+        'options.reasonGroup.financial': '💰 Financial Services',
+        'options.reasonGroup.other': '📋 Other',
+        'options.reason.placeholder': 'Select issue...',
+        'options.reason.passwordReset': 'Password Reset',
+        'options.reason.portalAccess': 'Student Portal Access',
+        'options.reason.idCard': 'Student ID Card Replacement',
+        'options.reason.network': 'Network Connectivity',
+        'options.reason.hardware': 'Hardware Issue',
+        'options.reason.software': 'Software Installation',
+        'options.reason.courseRegistration': 'Course Registration',
+        'options.reason.gradeInquiry': 'Grade Inquiry',
+        'options.reason.advising': 'Academic Advising',
+        'options.reason.transcript': 'Transcript Request',
+        'options.reason.tuition': 'Tuition Fee Inquiry',
+        'options.reason.scholarship': 'Scholarship Application',
+        'options.reason.other': 'Other',
+        'options.priority.placeholder': 'Select priority...',
+        'options.priority.critical': 'Critical',
+        'options.priority.urgent': 'Urgent',
+        'options.priority.high': 'High',
+        'options.priority.medium': 'Medium',
+        'options.priority.normal': 'Normal',
+        'options.priority.low': 'Low',
+
+        // script.js
+        'validation.default': 'Please check this field',
+        'a11y.steps': 'Form steps',
+        'a11y.stepCompleted': '(completed)',
+        'a11y.stepCurrent': '(current step)',
+        'a11y.progress': 'Form progress',
+        'a11y.progressText': 'Step {current} of {total}',
+        'a11y.stepAnnouncement': 'Step {current} of {total}: {title}',
+        'errors.summary_one': 'Please fix the following problem:',
+        'errors.summary_other': 'Please fix the following {count} problems:',
+        'review.notProvided': 'Not provided',
+        'review.notSelected': 'Not selected',
+        'review.attachments': 'Attachments',
+        'review.edit': '✏️ Edit',
+        'review.editSection': 'Edit {section}',
+        'review.editField': 'Edit {field}',
+        'review.showMore': 'Show full text',
+        'review.showLess': 'Show less',
+        'duplicate.warning': 'You already submitted a similar request at {date}. It may still be on its way to our team.',
+        'duplicate.confirm': 'This is a new request - send it anyway',
+        'duplicate.confirmRequired': 'Please confirm that this is a new request, or go back and change it.',
+        'tooltips.description': 'Provide as much detail as possible to help us resolve your issue quickly',
+        'tooltips.priority': 'Select the urgency level of your request',
+        'tooltips.recordType': 'Choose the department that best handles your type of request',
+        'draft.label': 'Unfinished request',
+        'draft.title': 'Restore your unfinished request?',
+        'draft.savedAt': 'Last saved {date}',
+        'draft.restore': 'Restore',
+        'draft.discard': 'Discard',
+        'submit.submitting': '⏳ Submitting...',
+        'submit.verifying': '⏳ Verifying...',
+        'submit.uploading': '⏳ Uploading attachments...',
+        'submit.queued': '📡 Saved for sending',
+        'submit.verificationFailed': 'Please complete the verification to submit your request.',
+        'submit.verificationError': 'We couldn\'t verify your request. Please try again.',
+        'submit.descriptionTooLong': 'Your description is too long to add the attachment links to it. Please shorten it and try again.',
+        'submit.uploadFailed': 'We couldn\'t upload your attachments. Please try again, or remove them and submit without attachments.',
+        'submit.failed': 'We couldn\'t submit your request. Please check your connection and try again.',
+        'submit.notConfigured': 'This form isn\'t set up to send requests yet. Please contact support another way.',
+        'submit.stalled': 'This is taking longer than expected. Please check your connection and submit again.',
+        'submit.successTitle': '✅ Form Submitted Successfully!',
+        'submit.successDetail': 'Your case has been created and you will receive a confirmation email shortly.',
+        'submit.offlineTitle': '📡 You\'re offline — your request has been saved',
+        'submit.offlineDetail': 'It will be sent automatically as soon as your connection is back. Keep this page open or come back to it later.',
+        'submit.outboxSentTitle': '✅ Your saved request has been sent',
+        'submit.outboxSentDetail_one': 'The request you made while offline has been submitted.',
+        'submit.outboxSentDetail_other': 'The {count} requests you made while offline have been submitted.',
+
+        'email.suggestion': 'Did you mean {email}?',
+
+        'priority.suggested': 'Suggested',
+        'priority.suggestion': 'Suggested for this issue: {priority}',
+
+        'description.insertTemplate': '📝 Insert questions for this issue',
+        'description.counter': '{length} / {max} characters',
+        'description.counterWithAdded': '{length} / {max} characters, including {added} for the details and attachment links added when you submit',
+        'description.hint.missing_one': 'This question is still unanswered:',
+        'description.hint.missing_other': 'These {count} questions are still unanswered:',
+        'description.hint.vague': '"{phrase}" doesn\'t tell our team much on its own. What exactly did you see? Copy any error message.',
+        'description.hint.short': 'A little more detail helps: what you were trying to do, what happened and when it started.',
+        'description.hint.good': '✓ Thanks, that\'s the kind of detail our team needs.',
+
+        'prefill.locked': '🔒 Provided by the student portal',
+
+        // beeversity-case-form.js
+        'embed.loadError': '⚠️ The support form could not be loaded. Please reload the page or try again later.',
+
+        // knowledge-base.js
+        'kb.title': '💡 These articles might answer your question',
+        'kb.readMore': 'Read the full article',
+        'kb.solved': '✅ This solved my problem',
+        'kb.resolvedTitle': '🎉 Glad we could help!',
+        'kb.resolvedDetail': 'No request was filed. If you still need help, you can start a new request at any time.',
+        'kb.startOver': '📝 Start a new request',
+
+        // attachments.js
+        'attachments.unsupported': '{name} is not a supported file type',
+        'attachments.tooLarge': '{name} is larger than {size}',
+        'attachments.duplicate': '{name} is already attached',
+        'attachments.tooMany_one': 'You can attach only 1 file',
+        'attachments.tooMany_other': 'You can attach up to {count} files',
+        'attachments.remove': 'Remove {name}',
+
+        // submission-history.js
+        'history.title_one': '🗂️ My recent requests (1)',
+        'history.title_other': '🗂️ My recent requests ({count})',
+        'history.current': 'This request',
+        'history.noSubject': '(No subject)',
+        'history.submittedOn': 'Submitted',
+        'history.submissionId': 'Submission ID',
+        'history.department': 'Department',
+        'history.type': 'Type',
+        'history.priority': 'Priority',
+        'history.note': 'Saved only in this browser. Quote the submission ID when you contact support.',
+        'history.export': '⬇️ Export (JSON)',
+        'history.print': '🖨️ Print',
+        'history.clear': '🗑️ Clear history',
+        'history.clearConfirm': 'Remove all saved requests from this browser? Your cases themselves are not affected.',
+
+        // spam-protection.js
+        'spam.blocked': 'We couldn\'t submit your request. Please reload the page and try again.',
+        'spam.tooFast': 'Please take a moment to review your request before submitting.',
+        'spam.rateLimit_one': 'You\'ve sent several requests recently. Please wait 1 minute before submitting another one.',
+        'spam.rateLimit_other': 'You\'ve sent several requests recently. Please wait {count} minutes before submitting another one.',
+
+        // receipt.js
+        'receipt.title': 'Beeversity Student Support - Case Receipt',
+        'receipt.note': 'Created in your browser when you submitted this request. Your official case number will be in the confirmation email.',
+        'receipt.submissionId': 'Submission ID',
+        'receipt.submittedAt': 'Submitted',
+
+        // survey.js
+        'survey.empty': 'Please answer at least one question, or just skip the survey.',
+        'survey.sending': 'Sending your feedback...',
+        'survey.saved': 'We couldn\'t send your feedback right now. It\'s saved in this browser and will be sent automatically.',
+        'survey.thanks': '✓ Thank you for your feedback!',
+        'survey.failed': 'We couldn\'t send your feedback. Please try again later.',
+
+        // success.html
+        'success.pageTitle': 'Case Submitted Successfully - Student Support',
+        'success.title': 'Case Submitted Successfully!',
+        'success.messageTitle': '🎉 Thank you for submitting your support request!',
+        'success.messageBody': 'Your case has been successfully created and assigned to our support team. We have received all your information and will begin processing your request immediately.',
+        'success.submissionIdLabel': 'Your Submission ID:',
+        'success.submissionIdNote': 'Keep this ID for your records. Your official case number will be in the confirmation email.',
+        'success.summaryTitle': '📋 Case Summary',
+        'success.submittedOn': 'Submitted On:',
+        'success.priority': 'Priority Level:',
+        'success.department': 'Department:',
+        'success.caseType': 'Case Type:',
+        'success.subject': 'Subject:',
+        'success.nextTitle': '📝 What Happens Next?',
+        'success.next.emailLabel': 'Email Confirmation:',
+        'success.next.email': 'You will receive a confirmation email within 5 minutes at your registered email address.',
+        'success.next.responseLabel': 'Initial Response:',
+        'success.next.response': 'Our support team will review your case and provide an initial response within 24 hours.',
+        'success.next.updatesLabel': 'Case Updates:',
+        'success.next.updates': 'You will receive email notifications for any updates or when additional information is needed.',
+        'success.next.resolutionLabel': 'Resolution:',
+        'success.next.resolution': 'We will work diligently to resolve your issue as quickly as possible based on the priority level.',
+        'success.responseTitle': '⏰ Expected Response Times',
+        'success.response.critical': '🚨 Critical:',
+        'success.response.urgent': '⚡ Urgent:',
+        'success.response.high': '🔴 High:',
+        'success.response.medium': '🟡 Medium:',
+        'success.response.normal': '🟢 Normal:',
+        'success.response.low': '⚪ Low:',
+        'success.within2h': 'Within 2 hours',
+        'success.within4h': 'Within 4 hours',
+        'success.within8h': 'Within 8 hours',
+        'success.within24h': 'Within 24 hours',
+        'success.within48h': 'Within 48 hours',
+        'success.within72h': 'Within 72 hours',
+        'survey.title': '💬 How did we do?',
+        'survey.intro': 'Optional: three quick questions about this form. Your answers are linked to your submission ID.',
+        'survey.ease': 'How easy was it to submit your request?',
+        'survey.easeMin': '1 = Very hard',
+        'survey.easeMax': '5 = Very easy',
+        'survey.foundNeeded': 'Did you find what you needed?',
+        'survey.yes': 'Yes',
+        'survey.partly': 'Partly',
+        'survey.no': 'No',
+        'survey.comment': 'Anything we could do better?',
+        'survey.commentPlaceholder': 'Tell us what was confusing or what was missing',
+        'survey.submit': 'Send feedback',
+        'success.anotherCase': '📝 Submit Another Case',
+        'success.print': '🖨️ Print This Page',
+        'receipt.downloadPdf': '⬇️ Download receipt (PDF)',
+        'receipt.downloadText': '⬇️ Download receipt (TXT)',
+        'success.helpTitle': '📞 Need Immediate Help?',
+        'success.emergencyLabel': 'Emergency Support:',
+        // The phone number sits between these two, so it stays bold in every language
+        'success.emergencyBefore': 'If this is an urgent matter that cannot wait, please contact our emergency support line at',
+        'success.emergencyAfter': 'and reference your case number or submission ID.',
+        'success.emailLabel': 'Email Support:',
+        'success.email': 'You can also reply directly to the confirmation email you will receive.',
+        'success.redirectPrompt': 'Would you like to return to the main page?'
+    }
+};
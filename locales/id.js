@@ -0,0 +1,343 @@
+/**
+ * Indonesian message bundle (Bahasa Indonesia)
+ * Also translates the schema text (steps, field labels, validation messages and
+ * department help), which form-schema.js only provides in English.
+ */
+
+export default {
+    name: 'Bahasa Indonesia',
+    locale: 'id-ID',
+    messages: {
+        // index.html
+        'index.pageTitle': 'Formulir Permintaan Bantuan Mahasiswa',
+        'index.heading': '🎓 Permintaan Bantuan Mahasiswa',
+        'index.subtitle': 'Dapatkan bantuan untuk masalah akademik, administrasi, atau teknis',
+        'index.section.contact': '👤 Informasi Kontak',
+        'index.section.details': '🎯 Detail Permintaan',
+        'index.section.review': '📋 Periksa Kembali Data Anda',
+        'index.label.name': 'Nama Lengkap',
+        'index.label.email': 'Alamat Email',
+        'index.label.phone': 'Nomor Telepon',
+        'index.label.company': 'Institusi/Perusahaan',
+        'index.label.recordType': 'Kategori Departemen',
+        'index.label.type': 'Jenis Permintaan',
+        'index.label.reason': 'Masalah Spesifik',
+        'index.label.priority': 'Tingkat Prioritas',
+        'index.label.subject': 'Subjek',
+        'index.label.description': 'Deskripsi Lengkap',
+        'index.label.attachments': 'Lampiran',
+        'index.label.studentId': 'NIM',
+        'index.label.courseCode': 'Kode Mata Kuliah',
+        'index.label.invoiceNumber': 'Nomor Tagihan',
+        'index.label.priorityJustification': 'Mengapa ini Kritis atau Mendesak?',
+        'index.info.name': 'Masukkan nama lengkap Anda',
+        'index.info.email': 'Kami akan mengirim kabar terbaru ke email ini',
+        'index.info.phone': 'Nomor kontak (opsional), mis. 0812 3456 7890',
+        'index.info.company': 'Sekolah atau organisasi Anda',
+        'index.info.recordType': 'Pilih departemen yang paling sesuai',
+        'index.info.description': 'Semakin lengkap informasi Anda, semakin baik kami dapat membantu',
+        'index.info.attachments': 'Opsional — PNG, JPG, atau PDF, maksimal 3 file masing-masing 5 MB',
+        'index.info.studentId': 'Nomor yang tertera di kartu mahasiswa Anda',
+        'index.info.courseCode': 'Sesuai dengan katalog mata kuliah',
+        'index.info.invoiceNumber': 'Tertera di bagian atas tagihan biaya kuliah Anda',
+        'index.info.priorityJustification': 'Jelaskan tenggat waktu atau dampak yang membuat ini mendesak',
+        'index.placeholder.subject': 'Ringkasan singkat masalah Anda...',
+        'index.placeholder.description': 'Jelaskan masalah Anda secara rinci, termasuk langkah-langkah yang dilakukan, pesan kesalahan, dan detail lain yang relevan...',
+        'index.placeholder.studentId': 'mis. 2023010123',
+        'index.placeholder.courseCode': 'mis. CS101',
+        'index.placeholder.invoiceNumber': 'mis. INV-2024-001234',
+        'index.placeholder.priorityJustification': 'mis. Ujian saya dimulai besok pukul 08.00 dan saya tidak bisa masuk ke portal ujian',
+        'index.attachments.drop': '📎 Seret tangkapan layar atau bukti pembayaran ke sini, atau pilih file',
+        'index.button.nextDetails': 'Berikutnya: Detail Permintaan',
+        'index.button.nextReview': 'Berikutnya: Periksa',
+        'index.button.back': 'Kembali',
+        'index.button.submit': '🚀 Kirim Permintaan Bantuan',
+        'index.button.nextShortcut': 'Pintasan: Ctrl+Enter',
+        'index.button.backToReview': '✓ Kembali ke Pemeriksaan',
+        'index.priorityBadge.critical': '🚨 Kritis',
+        'index.priorityBadge.urgent': '⚡ Mendesak',
+        'index.priorityBadge.high': '🔴 Tinggi',
+        'index.priorityBadge.medium': '🟡 Sedang',
+        'index.priorityBadge.normal': '🟢 Normal',
+        'index.priorityBadge.low': '⚪ Rendah',
+
+        // Picklist labels (values are never translated)
+        'options.recordType.placeholder': 'Pilih departemen...',
+        'options.recordType.academic': '📚 Akademik & Kemahasiswaan',
+        'options.recordType.finance': '💰 Keuangan & Administrasi',
+        'options.recordType.it': '💻 Dukungan TI',
+        'options.recordType.general': '📋 Pertanyaan Umum',
+        'options.type.placeholder': 'Pilih jenis...',
+        'options.type.question': '❓ Pertanyaan',
+        'options.type.problem': '⚠️ Masalah',
+        'options.type.request': '📝 Permohonan',
+        'options.type.paymentIssue': '💳 Masalah Pembayaran',
+        'options.type.gradeDispute': '📊 Keberatan Nilai',
+        'options.type.guidance': '🧭 Bimbingan',
+        'options.type.other': '📋 Lainnya',
+        'options.reasonGroup.account': '🔐 Akun & Akses',
+        'options.reasonGroup.technical': '💻 Dukungan Teknis',
+        'options.reasonGroup.academic': '📚 Layanan Akademik',
+        'options.reasonGroup.financial': '💰 Layanan Keuangan',
+        'options.reasonGroup.other': '📋 Lainnya',
+        'options.reason.placeholder': 'Pilih masalah...',
+        'options.reason.passwordReset': 'Atur Ulang Kata Sandi',
+        'options.reason.portalAccess': 'Akses Portal Mahasiswa',
+        'options.reason.idCard': 'Penggantian Kartu Mahasiswa',
+        'options.reason.network': 'Koneksi Jaringan',
+        'options.reason.hardware': 'Masalah Perangkat Keras',
+        'options.reason.software': 'Instalasi Perangkat Lunak',
+        'options.reason.courseRegistration': 'Pendaftaran Mata Kuliah',
+        'options.reason.gradeInquiry': 'Pertanyaan Nilai',
+        'options.reason.advising': 'Bimbingan Akademik',
+        'options.reason.transcript': 'Permintaan Transkrip',
+        'options.reason.tuition': 'Pertanyaan Biaya Kuliah',
+        'options.reason.scholarship': 'Pengajuan Beasiswa',
+        'options.reason.other': 'Lainnya',
+        'options.priority.placeholder': 'Pilih prioritas...',
+        'options.priority.critical': 'Kritis',
+        'options.priority.urgent': 'Mendesak',
+        'options.priority.high': 'Tinggi',
+        'options.priority.medium': 'Sedang',
+        'options.priority.normal': 'Normal',
+        'options.priority.low': 'Rendah',
+
+        // form-schema.js
+        'steps.contact.title': 'Info Kontak',
+        'steps.contact.reviewTitle': 'Informasi Kontak',
+        'steps.details.title': 'Detail Permintaan',
+        'steps.details.reviewTitle': 'Detail Permintaan',
+        'steps.review.title': 'Periksa & Kirim',
+        'fields.name.label': 'Nama',
+        'fields.name.message': 'Silakan masukkan nama lengkap Anda',
+        'fields.email.label': 'Email',
+        'fields.email.message': 'Silakan masukkan alamat email yang valid',
+        'fields.phone.label': 'Telepon',
+        'fields.phone.message': 'Silakan masukkan nomor telepon yang valid, mis. 0812 3456 7890 atau +62 812 3456 7890',
+        'fields.company.label': 'Institusi',
+        'fields.recordType.label': 'Departemen',
+        'fields.recordType.message': 'Silakan pilih kategori departemen',
+        'fields.type.label': 'Jenis',
+        'fields.type.message': 'Silakan pilih jenis permintaan',
+        'fields.type.dependency': 'Jenis permintaan ini tidak tersedia untuk departemen yang dipilih',
+        'fields.reason.label': 'Masalah',
+        'fields.reason.message': 'Silakan pilih masalah spesifik',
+        'fields.reason.dependency': 'Masalah ini tidak ditangani oleh departemen yang dipilih',
+        'fields.studentId.label': 'NIM',
+        'fields.studentId.message': 'Silakan masukkan NIM Anda (8 sampai 12 angka)',
+        'fields.courseCode.label': 'Kode Mata Kuliah',
+        'fields.courseCode.message': 'Silakan masukkan kode mata kuliah, misalnya CS101',
+        'fields.invoiceNumber.label': 'Nomor Tagihan',
+        'fields.invoiceNumber.message': 'Silakan masukkan nomor tagihan dari tagihan biaya kuliah Anda',
+        'fields.priorityJustification.label': 'Alasan Prioritas',
+        'fields.priorityJustification.message': 'Jelaskan secara singkat mengapa ini perlu ditangani sebagai Kritis atau Mendesak (minimal 15 karakter)',
+        'fields.priority.label': 'Prioritas',
+        'fields.priority.message': 'Silakan pilih tingkat prioritas',
+        'fields.subject.label': 'Subjek',
+        'fields.subject.message': 'Silakan masukkan subjek permintaan Anda',
+        'fields.description.label': 'Deskripsi',
+        'fields.description.message': 'Silakan berikan deskripsi yang lengkap (minimal 10 karakter)',
+        'fields.description.maxLength': 'Silakan persingkat deskripsi Anda agar muat bersama detail tambahan dan tautan lampiran yang ditambahkan ke dalamnya',
+        'departments.academic.help': 'Akademik & Kemahasiswaan menangani pendaftaran mata kuliah, nilai, transkrip, dan bimbingan akademik.',
+        'departments.finance.help': 'Keuangan & Administrasi menangani biaya kuliah, beasiswa, pembayaran, dan bantuan keuangan.',
+        'departments.it.help': 'Dukungan TI menangani masalah teknis pada sistem, kata sandi, perangkat lunak, dan koneksi jaringan.',
+        'departments.general.help': 'Pertanyaan umum dan permintaan lain yang tidak termasuk kategori tertentu.',
+
+        // script.js
+        'validation.default': 'Silakan periksa isian ini',
+        'a11y.steps': 'Langkah formulir',
+        'a11y.stepCompleted': '(selesai)',
+        'a11y.stepCurrent': '(langkah saat ini)',
+        'a11y.progress': 'Kemajuan formulir',
+        'a11y.progressText': 'Langkah {current} dari {total}',
+        'a11y.stepAnnouncement': 'Langkah {current} dari {total}: {title}',
+        'errors.summary_one': 'Silakan perbaiki masalah berikut:',
+        'errors.summary_other': 'Silakan perbaiki {count} masalah berikut:',
+        'review.notProvided': 'Tidak diisi',
+        'review.notSelected': 'Tidak dipilih',
+        'review.attachments': 'Lampiran',
+        'review.edit': '✏️ Ubah',
+        'review.editSection': 'Ubah {section}',
+        'review.editField': 'Ubah {field}',
+        'review.showMore': 'Tampilkan semua',
+        'review.showLess': 'Tampilkan lebih sedikit',
+        'duplicate.warning': 'Anda sudah mengirim permintaan serupa pada {date}. Permintaan tersebut mungkin masih dalam proses menuju tim kami.',
+        'duplicate.confirm': 'Ini permintaan baru - tetap kirim',
+        'duplicate.confirmRequired': 'Silakan konfirmasi bahwa ini permintaan baru, atau kembali dan ubah permintaan Anda.',
+        'tooltips.description': 'Berikan detail selengkap mungkin agar kami dapat menyelesaikan masalah Anda dengan cepat',
+        'tooltips.priority': 'Pilih tingkat urgensi permintaan Anda',
+        'tooltips.recordType': 'Pilih departemen yang paling tepat menangani jenis permintaan Anda',
+        'draft.label': 'Permintaan yang belum selesai',
+        'draft.title': 'Lanjutkan permintaan yang belum selesai?',
+        'draft.savedAt': 'Terakhir disimpan {date}',
+        'draft.restore': 'Lanjutkan',
+        'draft.discard': 'Buang',
+        'submit.submitting': '⏳ Mengirim...',
+        'submit.verifying': '⏳ Memverifikasi...',
+        'submit.uploading': '⏳ Mengunggah lampiran...',
+        'submit.queued': '📡 Disimpan untuk dikirim',
+        'submit.verificationFailed': 'Silakan selesaikan verifikasi untuk mengirim permintaan Anda.',
+        'submit.verificationError': 'Kami tidak dapat memverifikasi permintaan Anda. Silakan coba lagi.',
+        'submit.descriptionTooLong': 'Deskripsi Anda terlalu panjang untuk ditambahkan tautan lampiran. Silakan persingkat dan coba lagi.',
+        'submit.uploadFailed': 'Kami tidak dapat mengunggah lampiran Anda. Silakan coba lagi, atau hapus lampiran dan kirim tanpa lampiran.',
+        'submit.failed': 'Kami tidak dapat mengirim permintaan Anda. Silakan periksa koneksi Anda dan coba lagi.',
+        'submit.notConfigured': 'Formulir ini belum disiapkan untuk mengirim permintaan. Silakan hubungi layanan bantuan dengan cara lain.',
+        'submit.stalled': 'Proses ini memakan waktu lebih lama dari biasanya. Silakan periksa koneksi Anda dan kirim ulang.',
+        'submit.successTitle': '✅ Formulir Berhasil Dikirim!',
+        'submit.successDetail': 'Permintaan Anda telah dibuat dan Anda akan segera menerima email konfirmasi.',
+        'submit.offlineTitle': '📡 Anda sedang offline — permintaan Anda telah disimpan',
+        'submit.offlineDetail': 'Permintaan akan dikirim otomatis begitu koneksi Anda kembali. Biarkan halaman ini terbuka atau kembali lagi nanti.',
+        'submit.outboxSentTitle': '✅ Permintaan yang tersimpan telah dikirim',
+        'submit.outboxSentDetail_one': 'Permintaan yang Anda buat saat offline telah dikirim.',
+        'submit.outboxSentDetail_other': '{count} permintaan yang Anda buat saat offline telah dikirim.',
+
+        'email.suggestion': 'Maksud Anda {email}?',
+
+        'priority.suggested': 'Disarankan',
+        'priority.suggestion': 'Disarankan untuk masalah ini: {priority}',
+        'priorityGuidance.Critical': 'Gangguan di seluruh kampus atau masalah keselamatan, atau sesuatu yang menghalangi Anda mengikuti ujian hari ini.',
+        'priorityGuidance.Urgent': 'Menghambat studi Anda dengan tenggat dalam 24 jam ke depan, misalnya pendaftaran yang ditutup hari ini.',
+        'priorityGuidance.High': 'Menghalangi Anda melakukan hal penting, tetapi ada solusi sementara atau masih ada beberapa hari.',
+        'priorityGuidance.Medium': 'Menimbulkan masalah dan perlu ditangani minggu ini.',
+        'priorityGuidance.Normal': 'Permintaan dan pertanyaan umum tanpa tenggat waktu.',
+        'priorityGuidance.Low': 'Permintaan informasi dan saran yang tidak mendesak.',
+
+        'description.insertTemplate': '📝 Sisipkan pertanyaan untuk masalah ini',
+        'description.counter': '{length} / {max} karakter',
+        'description.counterWithAdded': '{length} / {max} karakter, termasuk {added} untuk detail dan tautan lampiran yang ditambahkan saat dikirim',
+        'description.hint.missing_one': 'Pertanyaan ini belum dijawab:',
+        'description.hint.missing_other': '{count} pertanyaan ini belum dijawab:',
+        'description.hint.vague': '"{phrase}" saja belum cukup jelas bagi tim kami. Apa tepatnya yang Anda lihat? Salin pesan kesalahan jika ada.',
+        'description.hint.short': 'Sedikit detail lagi akan membantu: apa yang ingin Anda lakukan, apa yang terjadi, dan kapan mulainya.',
+        'description.hint.good': '✓ Terima kasih, detail seperti inilah yang dibutuhkan tim kami.',
+        'descriptionGuide.defaultTemplate': 'Apa yang ingin Anda lakukan?\nApa yang terjadi? Salin pesan kesalahan yang Anda lihat.\nKapan masalah ini mulai terjadi?',
+        'descriptionGuide.templates.Password Reset': 'Akun atau sistem apa yang tidak bisa Anda masuki?\nApa yang terjadi saat Anda mencoba masuk? Salin pesan kesalahan jika ada.\nKapan terakhir kali Anda berhasil masuk?',
+        'descriptionGuide.templates.Student Portal Access': 'Halaman atau fitur portal apa yang ingin Anda gunakan?\nApa yang terjadi? Salin pesan kesalahan jika ada.\nBrowser dan perangkat apa yang Anda gunakan?\nKapan masalah ini mulai terjadi?',
+        'descriptionGuide.templates.Network Connectivity': 'Di mana lokasi Anda di kampus (gedung dan ruangan)?\nJaringan apa yang Anda gunakan (mis. Beeversity-WiFi)?\nApa yang terjadi saat Anda mencoba terhubung?\nKapan mulainya, dan apakah perangkat lain juga terdampak?',
+        'descriptionGuide.templates.Hardware Issue': 'Perangkat apa yang bermasalah (nomor PC lab, nama printer, atau perangkat Anda sendiri)?\nApa masalahnya?\nKapan masalah ini mulai terjadi?',
+        'descriptionGuide.templates.Software Installation': 'Perangkat lunak dan versi apa yang Anda butuhkan?\nUntuk mata kuliah atau proyek apa?\nDi perangkat mana perangkat lunak harus dipasang?',
+        'descriptionGuide.templates.Course Registration': 'Mata kuliah dan kelas apa yang ingin Anda daftarkan?\nApa yang terjadi saat Anda mencoba mendaftar? Salin pesan kesalahan jika ada.\nKapan batas pendaftaran Anda?',
+        'descriptionGuide.templates.Grade Inquiry': 'Mata kuliah dan penilaian apa yang dimaksud?\nNilai apa yang Anda terima, dan berapa yang Anda harapkan?\nApakah Anda sudah berbicara dengan dosen?',
+        'descriptionGuide.templates.Academic Advising': 'Tentang apa Anda ingin berkonsultasi?\nProgram studi dan semester berapa Anda sekarang?\nApakah ada tenggat untuk keputusan Anda?',
+        'descriptionGuide.templates.Transcript Request': 'Apakah Anda memerlukan transkrip resmi atau tidak resmi?\nBerapa salinan, dan ke mana harus dikirim?\nKapan Anda membutuhkannya?',
+        'descriptionGuide.templates.Student ID Card Replacement': 'Apakah kartu Anda hilang, dicuri, atau rusak?\nKapan hal itu terjadi?\nDi kampus mana Anda akan mengambil kartu baru?',
+        'descriptionGuide.templates.Tuition Fee Inquiry': 'Semester dan biaya apa yang dimaksud?\nApa pertanyaan Anda tentang jumlah atau pembayarannya?\nApakah Anda sudah membayar? Jika ya, kapan dan bagaimana?',
+        'descriptionGuide.templates.Scholarship Application': 'Beasiswa apa yang Anda lamar?\nBantuan apa yang Anda butuhkan?\nKapan batas waktu pendaftarannya?',
+        'descriptionGuide.vaguePhrases': 'tidak bisa\ntidak berfungsi\nrusak\nerror\nmasalah\nbantu\ntolong\nsegera\nurgent\nsama seperti sebelumnya',
+
+        'prefill.locked': '🔒 Diisi dari portal mahasiswa',
+
+        // beeversity-case-form.js
+        'embed.loadError': '⚠️ Formulir layanan tidak dapat dimuat. Muat ulang halaman atau coba lagi nanti.',
+
+        // knowledge-base.js
+        'kb.title': '💡 Artikel ini mungkin menjawab pertanyaan Anda',
+        'kb.readMore': 'Baca artikel lengkap',
+        'kb.solved': '✅ Masalah saya sudah teratasi',
+        'kb.resolvedTitle': '🎉 Senang dapat membantu!',
+        'kb.resolvedDetail': 'Tidak ada permintaan yang dikirim. Jika Anda masih memerlukan bantuan, Anda dapat membuat permintaan baru kapan saja.',
+        'kb.startOver': '📝 Buat permintaan baru',
+
+        // attachments.js
+        'attachments.unsupported': 'Jenis file {name} tidak didukung',
+        'attachments.tooLarge': 'Ukuran {name} melebihi {size}',
+        'attachments.duplicate': '{name} sudah dilampirkan',
+        'attachments.tooMany_one': 'Anda hanya dapat melampirkan 1 file',
+        'attachments.tooMany_other': 'Anda dapat melampirkan maksimal {count} file',
+        'attachments.remove': 'Hapus {name}',
+
+        // submission-history.js
+        'history.title_one': '🗂️ Permintaan terbaru saya (1)',
+        'history.title_other': '🗂️ Permintaan terbaru saya ({count})',
+        'history.current': 'Permintaan ini',
+        'history.noSubject': '(Tanpa subjek)',
+        'history.submittedOn': 'Dikirim',
+        'history.submissionId': 'ID Pengiriman',
+        'history.department': 'Departemen',
+        'history.type': 'Jenis',
+        'history.priority': 'Prioritas',
+        'history.note': 'Hanya disimpan di browser ini. Sebutkan ID pengiriman saat menghubungi layanan bantuan.',
+        'history.export': '⬇️ Ekspor (JSON)',
+        'history.print': '🖨️ Cetak',
+        'history.clear': '🗑️ Hapus riwayat',
+        'history.clearConfirm': 'Hapus semua permintaan tersimpan dari browser ini? Kasus Anda sendiri tidak terpengaruh.',
+
+        // spam-protection.js
+        'spam.blocked': 'Kami tidak dapat mengirim permintaan Anda. Silakan muat ulang halaman dan coba lagi.',
+        'spam.tooFast': 'Silakan luangkan waktu sejenak untuk memeriksa permintaan Anda sebelum mengirim.',
+        'spam.rateLimit_one': 'Anda telah mengirim beberapa permintaan baru-baru ini. Silakan tunggu 1 menit sebelum mengirim permintaan lain.',
+        'spam.rateLimit_other': 'Anda telah mengirim beberapa permintaan baru-baru ini. Silakan tunggu {count} menit sebelum mengirim permintaan lain.',
+
+        // receipt.js
+        'receipt.title': 'Layanan Mahasiswa Beeversity - Tanda Terima Permintaan',
+        'receipt.note': 'Dibuat di browser Anda saat permintaan ini dikirim. Nomor kasus resmi akan tercantum di email konfirmasi.',
+        'receipt.submissionId': 'ID Pengiriman',
+        'receipt.submittedAt': 'Dikirim',
+
+        // survey.js
+        'survey.empty': 'Jawab setidaknya satu pertanyaan, atau lewati survei ini.',
+        'survey.sending': 'Mengirim masukan Anda...',
+        'survey.saved': 'Masukan Anda belum dapat dikirim saat ini. Masukan disimpan di browser ini dan akan dikirim otomatis.',
+        'survey.thanks': '✓ Terima kasih atas masukan Anda!',
+        'survey.failed': 'Kami tidak dapat mengirim masukan Anda. Silakan coba lagi nanti.',
+
+        // success.html
+        'success.pageTitle': 'Permintaan Berhasil Dikirim - Bantuan Mahasiswa',
+        'success.title': 'Permintaan Berhasil Dikirim!',
+        'success.messageTitle': '🎉 Terima kasih telah mengirim permintaan bantuan!',
+        'success.messageBody': 'Permintaan Anda telah berhasil dibuat dan diteruskan ke tim dukungan kami. Kami telah menerima semua informasi Anda dan akan segera memprosesnya.',
+        'success.submissionIdLabel': 'ID Pengiriman Anda:',
+        'success.submissionIdNote': 'Simpan ID ini sebagai catatan. Nomor kasus resmi akan tercantum di email konfirmasi.',
+        'success.summaryTitle': '📋 Ringkasan Permintaan',
+        'success.submittedOn': 'Dikirim Pada:',
+        'success.priority': 'Tingkat Prioritas:',
+        'success.department': 'Departemen:',
+        'success.caseType': 'Jenis Permintaan:',
+        'success.subject': 'Subjek:',
+        'success.nextTitle': '📝 Apa Selanjutnya?',
+        'success.next.emailLabel': 'Email Konfirmasi:',
+        'success.next.email': 'Anda akan menerima email konfirmasi dalam 5 menit di alamat email yang Anda daftarkan.',
+        'success.next.responseLabel': 'Tanggapan Awal:',
+        'success.next.response': 'Tim dukungan kami akan meninjau permintaan Anda dan memberikan tanggapan awal dalam 24 jam.',
+        'success.next.updatesLabel': 'Kabar Terbaru:',
+        'success.next.updates': 'Anda akan menerima notifikasi email untuk setiap perkembangan atau jika informasi tambahan diperlukan.',
+        'success.next.resolutionLabel': 'Penyelesaian:',
+        'success.next.resolution': 'Kami akan berusaha menyelesaikan masalah Anda secepat mungkin sesuai tingkat prioritasnya.',
+        'success.responseTitle': '⏰ Perkiraan Waktu Tanggapan',
+        'success.response.critical': '🚨 Kritis:',
+        'success.response.urgent': '⚡ Mendesak:',
+        'success.response.high': '🔴 Tinggi:',
+        'success.response.medium': '🟡 Sedang:',
+        'success.response.normal': '🟢 Normal:',
+        'success.response.low': '⚪ Rendah:',
+        'success.within2h': 'Dalam 2 jam',
+        'success.within4h': 'Dalam 4 jam',
+        'success.within8h': 'Dalam 8 jam',
+        'success.within24h': 'Dalam 24 jam',
+        'success.within48h': 'Dalam 48 jam',
+        'success.within72h': 'Dalam 72 jam',
+        'survey.title': '💬 Bagaimana pengalaman Anda?',
+        'survey.intro': 'Opsional: tiga pertanyaan singkat tentang formulir ini. Jawaban Anda ditautkan ke ID pengiriman Anda.',
+        'survey.ease': 'Seberapa mudah mengirim permintaan Anda?',
+        'survey.easeMin': '1 = Sangat sulit',
+        'survey.easeMax': '5 = Sangat mudah',
+        'survey.foundNeeded': 'Apakah Anda menemukan yang Anda butuhkan?',
+        'survey.yes': 'Ya',
+        'survey.partly': 'Sebagian',
+        'survey.no': 'Tidak',
+        'survey.comment': 'Ada yang bisa kami perbaiki?',
+        'survey.commentPlaceholder': 'Ceritakan apa yang membingungkan atau apa yang kurang',
+        'survey.submit': 'Kirim masukan',
+        'success.anotherCase': '📝 Kirim Permintaan Lain',
+        'success.print': '🖨️ Cetak Halaman Ini',
+        'receipt.downloadPdf': '⬇️ Unduh tanda terima (PDF)',
+        'receipt.downloadText': '⬇️ Unduh tanda terima (TXT)',
+        'success.helpTitle': '📞 Butuh Bantuan Segera?',
+        'success.emergencyLabel': 'Layanan Darurat:',
+        'success.emergencyBefore': 'Jika masalah Anda mendesak dan tidak dapat menunggu, silakan hubungi layanan darurat kami di',
+        'success.emergencyAfter': 'dan sebutkan nomor kasus atau ID pengiriman Anda.',
+        'success.emailLabel': 'Dukungan Email:',
+        'success.email': 'Anda juga dapat membalas langsung email konfirmasi yang akan Anda terima.',
+        'success.redirectPrompt': 'Apakah Anda ingin kembali ke halaman utama?'
+    }
+};
@@ -0,0 +1,193 @@
+/**
+ * Input Normalization
+ * Cleans values before they are reviewed and posted to Web-to-Case, so Salesforce gets
+ * consistent data instead of whatever was typed:
+ *   - Control and invisible formatting characters are removed
+ *   - Whitespace is trimmed and collapsed (line breaks are kept in multi-line fields)
+ *   - Emails are lowercased and lose stray trailing dots
+ *   - Phone numbers are converted to E.164 (+6281234567890), assuming the default
+ *     region when no country code is given
+ *   - Values are cut to the field's maxlength
+ *
+ * Also provides the stricter email check and "did you mean" suggestions for common
+ * email domain typos (gmial.com -> gmail.com).
+ */
+
+// Country calling codes for the regions phone numbers may default to
+const COUNTRY_CALLING_CODES = {
+    ID: '62',
+    MY: '60',
+    SG: '65',
+    PH: '63',
+    TH: '66',
+    VN: '84'
+};
+
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+// Shortest national number (after the country code) accepted in the default region
+const MIN_NATIONAL_DIGITS = 8;
+const EMAIL_PATTERN = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*@([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i;
+
+// C0/C1 controls (tab and line breaks are handled separately), zero-width and bidi override characters
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/g;
+
+export class InputNormalizer {
+    /**
+     * @param {Object} options - The schema `normalization` configuration
+     */
+    constructor(options = {}) {
+        this.callingCode = COUNTRY_CALLING_CODES[options.phoneRegion || 'ID'];
+        this.emailDomains = options.emailDomains || [];
+    }
+
+    /**
+     * Normalize a field value
+     * @param {string} value - The value as typed
+     * @param {Object} options - { format: 'email'|'phone', multiline: boolean, maxLength: number }
+     * @returns {string} - The normalized value
+     */
+    normalize(value, { format, multiline = false, maxLength = -1 } = {}) {
+        let text = multiline ? this.normalizeMultiline(value) : this.normalizeText(value);
+
+        if (format === 'email') {
+            text = this.normalizeEmail(text);
+        } else if (format === 'phone') {
+            text = this.normalizePhone(text);
+        }
+
+        if (maxLength > 0 && text.length > maxLength) {
+            text = text.slice(0, maxLength).trim();
+        }
+        return text;
+    }
+
+    /**
+     * Clean single-line text: one space between words, none at the ends
+     * @param {string} value - The text
+     * @returns {string} - The cleaned text
+     */
+    normalizeText(value) {
+        return String(value || '')
+            .normalize('NFC')
+            .replace(CONTROL_CHARACTERS, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Clean multi-line text, keeping line breaks but at most one empty line in a row
+     * @param {string} value - The text
+     * @returns {string} - The cleaned text
+     */
+    normalizeMultiline(value) {
+        return String(value || '')
+            .normalize('NFC')
+            .replace(/\r\n?/g, '\n')
+            .replace(CONTROL_CHARACTERS, '')
+            .split('\n')
+            .map(line => line.replace(/[^\S\n]+/g, ' ').trimEnd())
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * Lowercase an email and drop trailing dots
+     * @param {string} value - The email
+     * @returns {string} - The normalized email
+     */
+    normalizeEmail(value) {
+        return value.replace(/\s+/g, '').replace(/\.+$/, '').toLowerCase();
+    }
+
+    /**
+     * Convert a phone number to E.164, assuming the default region without a country code
+     * @param {string} value - The phone number in any common format
+     * @returns {string} - The E.164 number, or the value unchanged when it isn't a phone number
+     */
+    normalizePhone(value) {
+        if (!value || /[^\d\s()+./-]/.test(value)) return value;
+
+        let digits = value.replace(/\D/g, '');
+        if (value.startsWith('+')) {
+            // Already international
+        } else if (digits.startsWith('00')) {
+            digits = digits.slice(2);
+        } else if (digits.startsWith('0')) {
+            // National format (0812...) in the default region
+            digits = this.callingCode + digits.slice(1);
+        } else if (!digits.startsWith(this.callingCode)) {
+            digits = this.callingCode + digits;
+        }
+
+        const international = `+${digits}`;
+        const isTooShort = digits.startsWith(this.callingCode) && digits.length - this.callingCode.length < MIN_NATIONAL_DIGITS;
+        return E164_PATTERN.test(international) && !isTooShort ? international : value;
+    }
+
+    /**
+     * Check an email address
+     * @param {string} email - The normalized email
+     * @returns {boolean} - Whether it's a plausible address
+     */
+    isValidEmail(email) {
+        return email.length <= 254 && EMAIL_PATTERN.test(email) && email.split('@')[0].length <= 64;
+    }
+
+    /**
+     * Check a phone number
+     * @param {string} phone - The phone number in any common format
+     * @returns {boolean} - Whether it can be converted to E.164
+     */
+    isValidPhone(phone) {
+        return E164_PATTERN.test(this.normalizePhone(this.normalizeText(phone)));
+    }
+
+    /**
+     * Suggest a fix for a misspelled common email domain
+     * @param {string} email - The normalized email
+     * @returns {string|null} - The corrected email, or null when nothing looks wrong
+     */
+    suggestEmail(email) {
+        const [local, domain] = email.split('@');
+        if (!local || !domain || this.emailDomains.includes(domain)) return null;
+
+        let best = null;
+        let bestDistance = Infinity;
+        this.emailDomains.forEach(candidate => {
+            const distance = this.editDistance(domain, candidate);
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        });
+
+        // Short domains need a closer match, or every small provider looks like a typo
+        const maxDistance = domain.length > 8 ? 2 : 1;
+        return best && bestDistance <= maxDistance ? `${local}@${best}` : null;
+    }
+
+    /**
+     * Count the edits (insert, delete, substitute, swap neighbours) between two strings
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} - The edit distance
+     */
+    editDistance(a, b) {
+        const rows = Array.from({ length: a.length + 1 }, (row, i) => [i]);
+        for (let j = 1; j <= b.length; j++) {
+            rows[0][j] = j;
+        }
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return rows[a.length][b.length];
+    }
+}
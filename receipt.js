@@ -0,0 +1,361 @@
+/**
+ * Case Receipt
+ * A record of the submitted case that students can download from success.html, so they
+ * have the details even if the Salesforce confirmation email never arrives.
+ *
+ * script.js saves the receipt to sessionStorage when the case is sent; the success page
+ * (same origin, same tab) loads it by submission ID. Both formats are generated in the
+ * browser: a plain text summary and a single-font PDF written by PdfDocument below.
+ * Nothing is uploaded anywhere.
+ */
+
+import { I18n } from './i18n.js';
+
+const RECEIPT_STORAGE_PREFIX = 'beeversity-receipt:';
+
+// A4 in points
+const PDF_PAGE_WIDTH = 595;
+const PDF_PAGE_HEIGHT = 842;
+const PDF_MARGIN = 56;
+const PDF_LABEL_WIDTH = 130;
+
+// Helvetica advance widths (1/1000 em) for characters 32-126; anything else counts as 556
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Characters WinAnsiEncoding places in 0x80-0x9F (Latin-1 covers the rest)
+const WIN_ANSI_EXTRAS = {
+    '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93,
+    '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+class PdfDocument {
+    constructor() {
+        this.pages = [];
+        this.addPage();
+    }
+
+    /**
+     * Start a new page
+     */
+    addPage() {
+        this.content = [];
+        this.pages.push(this.content);
+        this.y = PDF_PAGE_HEIGHT - PDF_MARGIN;
+    }
+
+    /**
+     * Convert text to the single-byte WinAnsi characters the standard fonts support
+     * @param {string} text - Any text
+     * @returns {string} - Text with emoji removed and unsupported characters replaced by '?'
+     */
+    encode(text) {
+        return String(text)
+            .normalize('NFC')
+            .replace(/[\p{Extended_Pictographic}\uFE0F\u200D]/gu, '')
+            .replace(/\t/g, '    ')
+            .replace(/[^\n\r\x20-\x7E\xA0-\xFF]/g, char => {
+                return WIN_ANSI_EXTRAS[char] ? String.fromCharCode(WIN_ANSI_EXTRAS[char]) : '?';
+            });
+    }
+
+    /**
+     * Measure encoded text in points
+     * @param {string} text - WinAnsi text
+     * @param {number} size - Font size
+     * @returns {number} - The width
+     */
+    measure(text, size) {
+        let width = 0;
+        for (const char of text) {
+            width += HELVETICA_WIDTHS[char.charCodeAt(0) - 32] || 556;
+        }
+        return (width * size) / 1000;
+    }
+
+    /**
+     * Break encoded text into lines that fit a width, splitting words that are too long
+     * @param {string} text - WinAnsi text without line breaks
+     * @param {number} size - Font size
+     * @param {number} width - Available width in points
+     * @returns {string[]} - The lines
+     */
+    wrap(text, size, width) {
+        const lines = [];
+        let line = '';
+
+        text.split(' ').forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (this.measure(candidate, size) <= width) {
+                line = candidate;
+                return;
+            }
+            if (line) {
+                lines.push(line);
+            }
+
+            line = '';
+            for (const char of word) {
+                if (line && this.measure(line + char, size) > width) {
+                    lines.push(line);
+                    line = '';
+                }
+                line += char;
+            }
+        });
+
+        lines.push(line);
+        return lines;
+    }
+
+    /**
+     * Write a paragraph, wrapped to the page and continued on a new page when needed
+     * @param {string} text - The text (line breaks start new lines)
+     * @param {Object} options - { size, bold, x, gap: space after the paragraph }
+     */
+    write(text, { size = 11, bold = false, x = PDF_MARGIN, gap = 0 } = {}) {
+        const width = PDF_PAGE_WIDTH - PDF_MARGIN - x;
+        this.encode(text).split(/\r?\n/).forEach(paragraph => {
+            this.wrap(paragraph, size, width).forEach(line => this.writeLine(line, { size, bold, x }));
+        });
+        this.y -= gap;
+    }
+
+    /**
+     * Write a label and its value side by side
+     * @param {string} label - The label
+     * @param {string} value - The value, wrapped in the right-hand column
+     */
+    writeRow(label, value) {
+        const lineHeight = 11 * 1.4;
+        if (this.y - lineHeight < PDF_MARGIN) {
+            this.addPage();
+        }
+
+        // The label shares the baseline of the value's first line
+        this.content.push(this.textOperator(this.encode(label), 9, true, PDF_MARGIN, this.y - 11));
+        this.write(value, { x: PDF_MARGIN + PDF_LABEL_WIDTH, gap: 4 });
+    }
+
+    /**
+     * Write one line of encoded text and move down
+     * @param {string} line - WinAnsi text
+     * @param {Object} options - { size, bold, x }
+     */
+    writeLine(line, { size, bold, x }) {
+        const lineHeight = size * 1.4;
+        if (this.y - lineHeight < PDF_MARGIN) {
+            this.addPage();
+        }
+        this.content.push(this.textOperator(line, size, bold, x, this.y - size));
+        this.y -= lineHeight;
+    }
+
+    /**
+     * Build the content stream operators that draw a line of text
+     * @param {string} line - WinAnsi text
+     * @param {number} size - Font size
+     * @param {boolean} bold - Use Helvetica-Bold
+     * @param {number} x - Left edge
+     * @param {number} y - Baseline
+     * @returns {string} - The operators
+     */
+    textOperator(line, size, bold, x, y) {
+        const escaped = line.replace(/[\\()]/g, char => `\\${char}`);
+        return `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x} ${y.toFixed(2)} Td (${escaped}) Tj ET`;
+    }
+
+    /**
+     * Draw a horizontal line across the page
+     */
+    rule() {
+        this.y -= 6;
+        this.content.push(`0.7 G 0.5 w ${PDF_MARGIN} ${this.y} m ${PDF_PAGE_WIDTH - PDF_MARGIN} ${this.y} l S`);
+        this.y -= 12;
+    }
+
+    /**
+     * Assemble the PDF file
+     * @returns {Blob} - The PDF
+     */
+    toBlob() {
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            null, // The page tree, once the page objects are numbered
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+        ];
+
+        const kids = this.pages.map(content => {
+            const stream = content.join('\n');
+            objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+            objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE_WIDTH} ${PDF_PAGE_HEIGHT}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${objects.length} 0 R >>`);
+            return `${objects.length} 0 R`;
+        });
+        objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`;
+
+        // Every character is one byte, so string offsets are byte offsets
+        let pdf = '%PDF-1.4\n';
+        const offsets = objects.map((object, index) => {
+            const offset = pdf.length;
+            pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+            return offset;
+        });
+
+        const xref = pdf.length;
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+        return new Blob([Uint8Array.from(pdf, char => char.charCodeAt(0))], { type: 'application/pdf' });
+    }
+}
+
+export class CaseReceipt {
+    /**
+     * Keep a receipt for the success page
+     * @param {Object} data - { submissionId, submittedAt, fields: [{ id, label, value, multiline }] }
+     */
+    static save(data) {
+        try {
+            sessionStorage.setItem(`${RECEIPT_STORAGE_PREFIX}${data.submissionId}`, JSON.stringify(data));
+        } catch (error) {
+            console.warn('Could not save the case receipt:', error);
+        }
+    }
+
+    /**
+     * Load the receipt of a submission
+     * @param {string} submissionId - The submission ID from the success page URL
+     * @returns {CaseReceipt|null} - The receipt, or null when this tab didn't send the case
+     */
+    static load(submissionId) {
+        if (!submissionId) return null;
+
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(`${RECEIPT_STORAGE_PREFIX}${submissionId}`));
+            return stored ? new CaseReceipt(stored) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * @param {Object} data - { submissionId, submittedAt, fields: [{ id, label, value, multiline }] }
+     */
+    constructor(data) {
+        this.submissionId = data.submissionId;
+        this.submittedAt = data.submittedAt;
+        this.fields = data.fields || [];
+    }
+
+    /**
+     * Get the single-line details as label/value pairs in the current language
+     * @returns {Array<[string, string]>} - The rows
+     */
+    getRows() {
+        const submittedAt = new Date(this.submittedAt);
+        const rows = [
+            [I18n.t('receipt.submissionId'), this.submissionId],
+            [I18n.t('receipt.submittedAt'), isNaN(submittedAt) ? '' : I18n.formatDate(submittedAt, {
+                year: 'numeric',
+                month: 'long',
+                day: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit',
+                timeZoneName: 'short'
+            })]
+        ];
+
+        return rows.concat(this.fields.filter(field => !field.multiline).map(field => [this.getLabel(field), this.getValue(field)]));
+    }
+
+    /**
+     * Get the multi-line details (the description) as label/value pairs
+     * @returns {Array<[string, string]>} - The sections
+     */
+    getSections() {
+        return this.fields.filter(field => field.multiline).map(field => [this.getLabel(field), this.getValue(field)]);
+    }
+
+    /**
+     * @param {Object} field - A stored field
+     * @returns {string} - The translated label
+     */
+    getLabel(field) {
+        return I18n.t(`fields.${field.id}.label`, {}, field.label);
+    }
+
+    /**
+     * @param {Object} field - A stored field
+     * @returns {string} - The value, or "Not provided"
+     */
+    getValue(field) {
+        return field.value || I18n.t('review.notProvided');
+    }
+
+    /**
+     * Write the receipt as plain text, in the style of an email
+     * @returns {string} - The text, with CRLF line endings
+     */
+    toText() {
+        const title = I18n.t('receipt.title');
+        const rows = this.getRows();
+        const width = Math.max(...rows.map(([label]) => label.length)) + 2;
+
+        const lines = [title, '='.repeat(title.length), ''];
+        rows.forEach(([label, value]) => lines.push(`${`${label}:`.padEnd(width)}${value}`));
+        this.getSections().forEach(([label, value]) => {
+            lines.push('', label, '-'.repeat(label.length), value);
+        });
+        lines.push('', I18n.t('receipt.note'), '');
+
+        return lines.join('\n').replace(/\r?\n/g, '\r\n');
+    }
+
+    /**
+     * Lay the receipt out as a PDF
+     * @returns {Blob} - The PDF
+     */
+    toPdf() {
+        const pdf = new PdfDocument();
+        pdf.write(I18n.t('receipt.title'), { size: 16, bold: true, gap: 4 });
+        pdf.write(I18n.t('receipt.note'), { size: 9 });
+        pdf.rule();
+
+        this.getRows().forEach(([label, value]) => pdf.writeRow(label, value));
+        this.getSections().forEach(([label, value]) => {
+            pdf.rule();
+            pdf.write(label, { size: 9, bold: true, gap: 4 });
+            pdf.write(value);
+        });
+
+        return pdf.toBlob();
+    }
+
+    /**
+     * Download the receipt
+     * @param {string} format - 'pdf' or 'txt'
+     */
+    download(format) {
+        const blob = format === 'pdf'
+            ? this.toPdf()
+            : new Blob([this.toText()], { type: 'text/plain;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `case-receipt-${this.submissionId}.${format === 'pdf' ? 'pdf' : 'txt'}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+}
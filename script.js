@@ -1,13 +1,96 @@
 /**
  * Multi-Step Salesforce Web-to-Case Form
  * Handles navigation between steps, validation, and user interactions
+ * Steps, fields and validation rules come from the schema in form-schema.js
+ *
+ * The form runs on index.html, or inside the <beeversity-case-form> element
+ * (beeversity-case-form.js) for pages that embed it. Host pages can drive it through
+ * goTo(), getData(), setData(), validate() and submit(), and listen for these events,
+ * dispatched on the form (they bubble and cross the shadow root):
+ *   stepchange      - { step, stepId, previousStep, direction }
+ *   validationerror - { step, stepId, errors: [{ field, rule, message }] }
+ *   submitted       - The submission summary plus mode ('native', 'ajax' or 'queued')
+ *   failed          - { reason, message }
  */
 
-class MultiStepForm {
-    constructor() {
+import { AnalyticsBus } from './analytics.js';
+import { AttachmentField } from './attachments.js';
+import { DuplicateDetector } from './duplicate-check.js';
+import { FormConfig } from './form-config.js';
+import { caseFormSchema } from './form-schema.js';
+import { I18n } from './i18n.js';
+import { ArticleSuggester } from './knowledge-base.js';
+import { InputNormalizer } from './normalization.js';
+import { CaseReceipt } from './receipt.js';
+import { SpamGuard } from './spam-protection.js';
+import { SubmissionHistory } from './submission-history.js';
+import { CaseSubmitter } from './submission.js';
+
+const DRAFT_KEY_PREFIX = 'beeversity-draft:';
+const DRAFT_SAVE_DELAY = 500; // ms after the last keystroke
+const DRAFT_EXPIRY_HOURS = 72;
+const SUGGESTION_DELAY = 300; // ms after the last keystroke
+const ATTACHMENT_URL_RESERVE = 200; // characters counted per attachment link until the upload returns its URL
+const STEP_TRANSITION_MS = 300; // each of the slide out and slide in animations
+const STEP_HASH_PREFIX = '#step-';
+
+// Step transitions: idle -> leaving (old step slides out) -> entering (new step slides in) -> idle
+const STEP_STATES = Object.freeze({
+    IDLE: 'idle',
+    LEAVING: 'leaving',
+    ENTERING: 'entering'
+});
+
+export class MultiStepForm {
+    /**
+     * @param {Object} schema - Form schema describing steps and fields (see form-schema.js)
+     * @param {Object} config - The active deployment configuration (see form-config.js)
+     * @param {Object} options - `root`: the document or shadow root holding the markup;
+     *                           `syncHistory`: mirror the step in the URL (default true);
+     *                           `prefillFromUrl`: prefill fields from the page's query
+     *                           string (default true);
+     *                           `baseUrl`: what relative URLs in the schema resolve
+     *                           against (default: the page's base URL);
+     *                           `i18n`: the message catalog (default: the page's I18n)
+     */
+    constructor(schema, config, { root = document, syncHistory = true, prefillFromUrl = true, baseUrl = document.baseURI, i18n = I18n } = {}) {
+        this.schema = config.applyToSchema(schema);
+        this.config = config;
+        this.root = root;
+        this.i18n = i18n;
+        this.baseUrl = baseUrl;
+        this.syncHistory = syncHistory;
+        this.prefillFromUrl = prefillFromUrl;
         this.currentStep = 1;
-        this.totalSteps = 3;
-        this.formDataBackup = null;
+        this.stepState = STEP_STATES.IDLE;
+        this.stepTransition = null;
+        this.totalSteps = schema.steps.length;
+        this.pendingDraft = null;
+        this.draftBanner = null;
+        this.saveTimer = null;
+        this.isSubmitting = false;
+        this.attachments = null;
+        this.submitter = null;
+        this.spamGuard = null;
+        this.articleSuggester = null;
+        this.suggestionTimer = null;
+        this.isResolved = false;
+        this.navigationTimer = null;
+        this.baseReturnUrl = config.getReturnUrl();
+        this.submissionId = null;
+        this.descriptionText = null;
+        this.isEditingFromReview = false;
+        this.isPriorityChosen = false;
+        this.descriptionHintKey = null;
+        this.duplicateDetector = null;
+        this.duplicateMatch = null;
+        this.isDuplicateConfirmed = false;
+        this.submissionHistory = null;
+        this.submissionSummary = null;
+        this.normalizer = new InputNormalizer(this.schema.normalization);
+        this.analytics = null;
+        this.startedAt = Date.now();
+        this.stepStartedAt = this.startedAt;
         this.init();
     }
 
@@ -15,373 +98,2349 @@ class MultiStepForm {
      * Initialize the form functionality
      */
     init() {
+        this.applyConfig();
+        this.initAnalytics();
+        this.applySchema();
+        this.initEmailSuggestions();
+        this.initDependentPicklists();
+        this.initConditionalFields();
+        this.initPriorityGuidance();
+        this.initDescriptionGuide();
+        this.initAttachments();
+        this.initSubmitter();
+        this.initSpamProtection();
+        this.initKnowledgeBase();
+        this.initDuplicateCheck();
+        this.initSubmissionHistory();
+        this.renderStepIndicator();
         this.bindEvents();
         this.updateProgress();
         this.showWelcomeMessage();
+        this.track('step_view', this.getStepProperties(this.currentStep));
+        this.applyPrefill();
+        this.initStepHistory();
     }
 
     /**
-     * Bind all event listeners
+     * Point the form at the configured org and fill in the department record type IDs
      */
-    bindEvents() {
-        // Next button events
-        document.getElementById('nextStep1').addEventListener('click', () => {
-            if (this.validateStep1()) {
-                this.nextStep();
+    applyConfig() {
+        const form = this.root.getElementById('caseForm');
+        form.action = this.config.getEndpoint();
+        form.elements.orgid.value = this.config.current.orgId;
+        form.elements.retURL.value = this.baseReturnUrl;
+        if (!this.config.current.orgId) {
+            console.error(`The "${this.config.name}" configuration has no orgId; set it in form-config.js. Submitting is turned off until then.`);
+        }
+
+        // Departments the configuration has no record type for aren't offered
+        const { recordTypes } = this.config.current;
+        this.root.querySelectorAll('#recordType option[data-department]').forEach(option => {
+            const recordTypeId = recordTypes[option.dataset.department];
+            if (recordTypeId) {
+                option.value = recordTypeId;
+            } else {
+                option.remove();
             }
         });
+    }
+
+    /**
+     * Set up the analytics event bus when adapters are configured
+     */
+    initAnalytics() {
+        const options = this.schema.analytics;
+        if (!options || !options.adapters || options.adapters.length === 0) return;
+
+        this.analytics = new AnalyticsBus(options, this.schema.id);
+
+        // Closing the page mid-way is the drop-off we want to see
+        window.addEventListener('pagehide', () => {
+            if (this.isSubmitting || this.isResolved) return;
+
+            this.track('form_abandon', {
+                ...this.getStepProperties(this.currentStep),
+                stepDurationMs: Date.now() - this.stepStartedAt,
+                totalDurationMs: Date.now() - this.startedAt
+            });
+            this.flushAnalytics();
+        });
+    }
+
+    /**
+     * Dispatch a DOM event for the host page
+     * @param {string} type - The event name
+     * @param {Object} detail - The event detail
+     */
+    emit(type, detail = {}) {
+        const form = this.root.getElementById('caseForm');
+        form.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+    }
+
+    /**
+     * Emit an analytics event (never pass field values, only IDs and counts)
+     * @param {string} name - The event name
+     * @param {Object} properties - Identifiers and numbers describing the event
+     */
+    track(name, properties = {}) {
+        if (this.analytics) {
+            this.analytics.track(name, properties);
+        }
+    }
+
+    /**
+     * Deliver buffered analytics events before the page may go away
+     */
+    flushAnalytics() {
+        if (this.analytics) {
+            this.analytics.flush();
+        }
+    }
+
+    /**
+     * Describe a step for analytics events
+     * @param {number} stepNumber - The 1-based step number
+     * @returns {{step: number, stepId: string}} - The step number and schema ID
+     */
+    getStepProperties(stepNumber) {
+        return { step: stepNumber, stepId: this.getStepConfig(stepNumber).id };
+    }
+
+    /**
+     * Record the time spent on the step being left and the view of the new one
+     * @param {number} fromStep - The step that was left
+     * @param {string} direction - 'forward', 'back' or 'jump'
+     */
+    trackStepChange(fromStep, direction) {
+        const now = Date.now();
+        this.track('step_leave', {
+            ...this.getStepProperties(fromStep),
+            direction,
+            durationMs: now - this.stepStartedAt
+        });
+        this.stepStartedAt = now;
+        this.track('step_view', this.getStepProperties(this.currentStep));
+    }
+
+    /**
+     * Apply Salesforce field names and required flags from the schema to the markup
+     */
+    applySchema() {
+        this.getFields().forEach(field => {
+            const element = this.root.getElementById(field.id);
+            if (!element) {
+                console.warn(`Schema field "${field.id}" has no matching element`);
+                return;
+            }
+
+            if (field.name) {
+                element.name = field.name;
+            }
+            element.required = Boolean(field.required);
 
-        document.getElementById('nextStep2').addEventListener('click', () => {
-            if (this.validateStep2()) {
-                this.updateReview();
-                this.nextStep();
+            // Inline error slot, announced together with the field's help text
+            const group = element.closest('.form-group') || element.parentElement;
+            const info = group.querySelector('.field-info');
+            if (info && !info.id) {
+                info.id = `${field.id}-info`;
             }
+
+            const errorElement = document.createElement('div');
+            errorElement.className = 'field-error';
+            errorElement.id = `${field.id}-error`;
+            errorElement.hidden = true;
+            group.appendChild(errorElement);
+
+            const describedBy = [info && info.id, errorElement.id].filter(Boolean);
+            element.setAttribute('aria-describedby', describedBy.join(' '));
+            this.getFieldControls(field).forEach(control => {
+                control.setAttribute('aria-describedby', describedBy.join(' '));
+            });
         });
+    }
 
-        // Back button events
-        document.getElementById('backStep2').addEventListener('click', () => {
-            this.prevStep();
+    /**
+     * Keep a copy of each dependent select's full option list and filter it
+     * whenever the controlling field changes
+     */
+    initDependentPicklists() {
+        const config = this.schema.dependentPicklists;
+        if (!config) return;
+
+        this.picklistTemplates = {};
+        config.dependentFields.forEach(fieldId => {
+            this.picklistTemplates[fieldId] = this.root.getElementById(fieldId).cloneNode(true);
         });
 
-        document.getElementById('backStep3').addEventListener('click', () => {
-            this.prevStep();
+        this.root.getElementById(config.controllingField).addEventListener('change', () => {
+            this.updateDependentPicklists();
         });
 
-        // Priority badge selection
-        document.querySelectorAll('.priority-badge').forEach(badge => {
-            badge.addEventListener('click', () => {
-                this.selectPriority(badge);
+        this.updateDependentPicklists();
+    }
+
+    /**
+     * Rebuild the dependent selects (and their optgroups) with the values
+     * allowed for the current controlling value
+     */
+    updateDependentPicklists() {
+        const config = this.schema.dependentPicklists;
+        const controllingValue = this.root.getElementById(config.controllingField).value;
+
+        config.dependentFields.forEach(fieldId => {
+            const select = this.root.getElementById(fieldId);
+            const previousValue = select.value;
+            const template = this.picklistTemplates[fieldId];
+
+            select.innerHTML = '';
+            Array.from(template.children).forEach(child => {
+                if (child.tagName === 'OPTGROUP') {
+                    const group = child.cloneNode(false);
+                    Array.from(child.children).forEach(option => {
+                        if (this.isAllowedByDependency(fieldId, option.value)) {
+                            group.appendChild(option.cloneNode(true));
+                        }
+                    });
+                    if (group.children.length > 0) {
+                        select.appendChild(group);
+                    }
+                } else if (!child.value || this.isAllowedByDependency(fieldId, child.value)) {
+                    select.appendChild(child.cloneNode(true));
+                }
             });
+
+            this.i18n.translate(select);
+
+            // Dependent picklists stay locked until a controlling value is chosen
+            select.disabled = !controllingValue || this.isLocked(fieldId);
+            select.value = this.isAllowedByDependency(fieldId, previousValue) ? previousValue : '';
         });
+    }
 
-        // Form submission
-        document.getElementById('caseForm').addEventListener('submit', (e) => {
-            this.handleFormSubmission(e);
+    /**
+     * Check whether a dependent field value is allowed for the current controlling value
+     * @param {string} fieldId - The dependent field ID
+     * @param {string} value - The value to check
+     * @returns {boolean} - Whether the value is allowed (always true for non-dependent fields)
+     */
+    isAllowedByDependency(fieldId, value) {
+        const config = this.schema.dependentPicklists;
+        if (!config || !config.dependentFields.includes(fieldId) || !value) return true;
+
+        const controllingValue = this.root.getElementById(config.controllingField).value;
+        const allowed = config.values[controllingValue];
+        return Boolean(allowed && allowed[fieldId] && allowed[fieldId].includes(value));
+    }
+
+    /**
+     * Offer a correction when the email domain looks like a typo of a common provider
+     */
+    initEmailSuggestions() {
+        const email = this.root.getElementById('email');
+        if (!this.root.getElementById('email-suggestion')) return;
+
+        email.addEventListener('change', () => this.updateEmailSuggestion());
+    }
+
+    /**
+     * Show or hide the "Did you mean ...?" suggestion under the email field
+     */
+    updateEmailSuggestion() {
+        const container = this.root.getElementById('email-suggestion');
+        if (!container) return;
+
+        const email = this.root.getElementById('email');
+        const suggestion = this.normalizer.suggestEmail(this.normalizer.normalizeEmail(email.value));
+        container.innerHTML = '';
+        container.hidden = !suggestion;
+        if (!suggestion) return;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'email-suggestion-apply';
+        button.textContent = suggestion;
+        button.addEventListener('click', () => {
+            email.value = suggestion;
+            this.track('email_suggestion_accepted');
+            this.updateEmailSuggestion();
+            this.handleInputChange(email);
+            email.focus();
         });
 
-        // Real-time validation and progress tracking
-        const inputs = document.querySelectorAll('input, select, textarea');
-        inputs.forEach(input => {
-            input.addEventListener('input', () => this.handleInputChange());
-            input.addEventListener('change', () => this.handleInputChange());
+        const [before, after] = this.i18n.t('email.suggestion').split('{email}');
+        container.append(before, button, after || '');
+    }
+
+    /**
+     * Clean every active text field in place (whitespace, control characters, email
+     * and phone formats, maxlength) before the case is validated and posted
+     */
+    normalizeFields() {
+        this.getFields().forEach(field => {
+            const element = this.root.getElementById(field.id);
+            if (!element || element.tagName === 'SELECT' || !this.isFieldActive(field)) return;
+
+            const normalized = this.getNormalizedValue(field);
+            if (normalized !== element.value) {
+                element.value = normalized;
+            }
         });
+    }
 
-        // Keyboard navigation
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' && e.ctrlKey) {
-                this.handleKeyboardNavigation();
+    /**
+     * Get the value a text field will be posted with, leaving what was typed alone
+     * @param {Object} field - The field schema
+     * @returns {string} - The normalized value
+     */
+    getNormalizedValue(field) {
+        const element = this.root.getElementById(field.id);
+        return this.normalizer.normalize(element.value, {
+            format: field.format,
+            multiline: element.tagName === 'TEXTAREA',
+            maxLength: element.maxLength
+        });
+    }
+
+    /**
+     * Show the fields that only apply to certain values of another field
+     */
+    initConditionalFields() {
+        const controllingIds = new Set(this.getFields()
+            .filter(field => field.showWhen)
+            .map(field => field.showWhen.field));
+        if (controllingIds.size === 0) return;
+
+        // Listen on the form so values reset by the dependent picklists are caught too
+        this.root.getElementById('caseForm').addEventListener('change', () => {
+            this.updateConditionalFields();
+        });
+
+        this.updateConditionalFields();
+    }
+
+    /**
+     * Show or hide each conditional field for the current controlling values
+     */
+    updateConditionalFields() {
+        this.getFields().forEach(field => {
+            if (!field.showWhen) return;
+
+            const element = this.root.getElementById(field.id);
+            const active = this.isFieldActive(field);
+            const group = element.closest('.form-group');
+            if (group.hidden === !active && element.disabled === !active) return;
+
+            group.hidden = !active;
+            // Disabled fields are left out of the POST and skipped by native validation
+            element.disabled = !active;
+            if (!active) {
+                this.clearFieldError(field);
             }
         });
+
+        // Shown fields with addToDescription add to the description's length
+        this.updateDescriptionGuide();
     }
 
     /**
-     * Validate Step 1: Contact Information
-     * @returns {boolean} - Whether the step is valid
+     * Check whether a field applies to the current answers
+     * @param {Object} field - The field configuration
+     * @returns {boolean} - False when the field's showWhen condition isn't met
      */
-    validateStep1() {
-        const name = document.getElementById('name').value.trim();
-        const email = document.getElementById('email').value.trim();
-        
-        if (!name) {
-            this.showError('Please enter your full name');
-            document.getElementById('name').focus();
-            return false;
-        }
-        
-        if (!email || !this.isValidEmail(email)) {
-            this.showError('Please enter a valid email address');
-            document.getElementById('email').focus();
-            return false;
-        }
-        
-        this.clearErrors();
-        return true;
+    isFieldActive(field) {
+        if (!field.showWhen) return true;
+
+        const controlling = this.root.getElementById(field.showWhen.field);
+        return Boolean(controlling && field.showWhen.values.includes(controlling.value));
     }
 
     /**
-     * Validate Step 2: Case Details
-     * @returns {boolean} - Whether the step is valid
+     * Explain each priority level and suggest one for the chosen type and reason
      */
-    validateStep2() {
-        const recordType = document.getElementById('recordType').value;
-        const type = document.getElementById('type').value;
-        const reason = document.getElementById('reason').value;
-        const priority = document.getElementById('priority').value;
-        const subject = document.getElementById('subject').value.trim();
-        const description = document.getElementById('description').value.trim();
-        
-        if (!recordType) {
-            this.showError('Please select a department category');
-            document.getElementById('recordType').focus();
-            return false;
-        }
-        
-        if (!type) {
-            this.showError('Please select a request type');
-            document.getElementById('type').focus();
-            return false;
+    initPriorityGuidance() {
+        if (!this.schema.priorityGuidance || !this.root.getElementById('priority-guidance')) return;
+
+        // Preview the guidance for whichever badge is pointed at or focused
+        this.root.querySelectorAll('.priority-badge').forEach(badge => {
+            ['mouseenter', 'focus'].forEach(type => {
+                badge.addEventListener(type, () => this.showPriorityGuidance(badge.dataset.value));
+            });
+            ['mouseleave', 'blur'].forEach(type => {
+                badge.addEventListener(type, () => this.showPriorityGuidance());
+            });
+        });
+
+        // Listen on the form so reasons reset by the dependent picklists are caught too
+        this.root.getElementById('caseForm').addEventListener('change', () => {
+            this.updatePrioritySuggestion();
+        });
+
+        this.updatePrioritySuggestion();
+    }
+
+    /**
+     * Get the priority suggested for the current type and reason
+     * @returns {string|null} - The suggested priority value, or null before either is chosen
+     */
+    getSuggestedPriority() {
+        const { suggestions = [], defaultPriority = null } = this.schema.priorityGuidance;
+        const type = this.root.getElementById('type').value;
+        const reason = this.root.getElementById('reason').value;
+        if (!type && !reason) return null;
+
+        const match = suggestions.find(rule =>
+            (rule.reason && rule.reason === reason) || (rule.type && rule.type === type));
+        return match ? match.priority : defaultPriority;
+    }
+
+    /**
+     * Mark the suggested priority badge, preselecting it until the student picks one
+     */
+    updatePrioritySuggestion() {
+        if (!this.schema.priorityGuidance) return;
+
+        const suggested = this.getSuggestedPriority();
+        this.root.querySelectorAll('.priority-badge').forEach(badge => {
+            const isSuggested = badge.dataset.value === suggested;
+            badge.classList.toggle('suggested', isSuggested);
+            if (isSuggested) {
+                badge.dataset.suggestedLabel = this.i18n.t('priority.suggested');
+            } else {
+                delete badge.dataset.suggestedLabel;
+            }
+        });
+
+        const badge = suggested && this.root.querySelector(`.priority-badge[data-value="${suggested}"]`);
+        if (badge && !this.isPriorityChosen && !badge.classList.contains('active')) {
+            this.selectPriority(badge);
         }
-        
-        if (!reason) {
-            this.showError('Please select a specific issue');
-            document.getElementById('reason').focus();
-            return false;
+
+        this.showPriorityGuidance();
+    }
+
+    /**
+     * Describe a priority level under the badges
+     * @param {string} value - The priority to describe (defaults to the selected one)
+     */
+    showPriorityGuidance(value = this.root.getElementById('priority').value) {
+        const container = this.root.getElementById('priority-guidance');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        const descriptions = this.schema.priorityGuidance.descriptions || {};
+        if (value && descriptions[value]) {
+            const description = document.createElement('p');
+            description.textContent = this.i18n.t(`priorityGuidance.${value}`, {}, descriptions[value]);
+            container.appendChild(description);
         }
-        
-        if (!priority) {
-            this.showError('Please select a priority level');
-            return false;
+
+        const suggested = this.getSuggestedPriority();
+        if (suggested) {
+            const suggestion = document.createElement('p');
+            suggestion.className = 'priority-suggestion';
+            suggestion.textContent = this.i18n.t('priority.suggestion', {
+                priority: this.i18n.t(`options.priority.${suggested.toLowerCase()}`)
+            });
+            container.appendChild(suggestion);
         }
-        
-        if (!subject) {
-            this.showError('Please enter a subject for your request');
-            document.getElementById('subject').focus();
-            return false;
+    }
+
+    /**
+     * Offer question templates for the chosen reason, count characters and hint at missing detail
+     */
+    initDescriptionGuide() {
+        const guide = this.schema.descriptionGuide;
+        const textarea = guide && this.root.getElementById(guide.fieldId);
+        if (!textarea) return;
+
+        const button = this.root.getElementById(`${guide.fieldId}-template`);
+        button.hidden = false;
+        button.addEventListener('click', () => this.insertDescriptionTemplate());
+
+        // `change` covers values restored from a draft or set through setData()
+        ['input', 'change'].forEach(type => {
+            textarea.addEventListener(type, () => this.updateDescriptionGuide());
+        });
+        this.root.getElementById('caseForm').addEventListener('change', () => this.updateDescriptionGuide());
+
+        this.updateDescriptionGuide();
+    }
+
+    /**
+     * Check whether a field is the one with the description guide
+     * @param {Object} field - The field configuration
+     * @returns {boolean} - True for the guided textarea
+     */
+    isGuidedField(field) {
+        return Boolean(this.schema.descriptionGuide && this.schema.descriptionGuide.fieldId === field.id);
+    }
+
+    /**
+     * Get the template questions for a reason in the current language
+     * @param {string} reason - The reason value (defaults to the selected one)
+     * @returns {string[]} - The questions
+     */
+    getDescriptionTemplate(reason = this.root.getElementById('reason').value) {
+        const { templates = {}, defaultTemplate = [] } = this.schema.descriptionGuide;
+        const template = templates[reason];
+        const key = template ? `descriptionGuide.templates.${reason}` : 'descriptionGuide.defaultTemplate';
+        return this.i18n.t(key, {}, (template || defaultTemplate).join('\n')).split('\n');
+    }
+
+    /**
+     * Get every template question, in the current language and the schema language, so a
+     * template inserted before the reason or language changed is still recognized
+     * @returns {Set<string>} - The questions
+     */
+    getDescriptionPrompts() {
+        const { templates = {}, defaultTemplate = [] } = this.schema.descriptionGuide;
+        const prompts = new Set();
+
+        Object.keys(templates).concat('').forEach(reason => {
+            this.getDescriptionTemplate(reason).concat(templates[reason] || defaultTemplate).forEach(prompt => {
+                prompts.add(prompt);
+            });
+        });
+        return prompts;
+    }
+
+    /**
+     * Split a description into the template questions and the student's own text
+     * @param {string} text - The description
+     * @returns {{answers: string, sections: Array<{prompt: string, answer: string}>}} - The
+     *          non-empty lines that aren't questions, and each question with the lines below it
+     */
+    parseDescription(text) {
+        const prompts = this.getDescriptionPrompts();
+        const answers = [];
+        const sections = [];
+
+        text.split('\n').forEach(line => {
+            const trimmed = line.trim();
+            if (prompts.has(trimmed)) {
+                sections.push({ prompt: trimmed, answer: '' });
+                return;
+            }
+            if (!trimmed) return;
+
+            answers.push(trimmed);
+            if (sections.length > 0) {
+                sections[sections.length - 1].answer += `${trimmed}\n`;
+            }
+        });
+
+        return { answers: answers.join('\n'), sections };
+    }
+
+    /**
+     * Judge how useful a description is likely to be for staff
+     * @param {string} text - The description
+     * @returns {{level: string, params: Object, missing: string[]}|null} - 'missing', 'vague',
+     *          'short' or 'good', or null while nothing has been written
+     */
+    getDescriptionQuality(text) {
+        const { goodLength = 100 } = this.schema.descriptionGuide;
+        const { answers, sections } = this.parseDescription(text);
+        if (!answers && sections.length === 0) return null;
+
+        const missing = sections.filter(section => !section.answer).map(section => section.prompt);
+        if (missing.length > 0) {
+            return { level: 'missing', params: { count: missing.length }, missing };
         }
-        
-        if (!description || description.length < 10) {
-            this.showError('Please provide a detailed description (at least 10 characters)');
-            document.getElementById('description').focus();
-            return false;
+
+        if (answers.length < goodLength) {
+            const phrase = this.findVaguePhrase(answers);
+            if (phrase) {
+                return { level: 'vague', params: { phrase }, missing };
+            }
+            return { level: 'short', params: {}, missing };
         }
-        
-        this.clearErrors();
-        return true;
+
+        return { level: 'good', params: {}, missing };
     }
 
     /**
-     * Move to the next step
+     * Find a phrase that says nothing on its own, like "doesn't work"
+     * @param {string} text - The student's text
+     * @returns {string|null} - The first vague phrase found, or null
      */
-    nextStep() {
-        if (this.currentStep < this.totalSteps) {
-            this.hideCurrentStep();
-            this.currentStep++;
-            this.showCurrentStep();
-            this.updateStepIndicator();
-            this.updateProgress();
-            this.scrollToTop();
-        }
+    findVaguePhrase(text) {
+        const { vaguePhrases = [] } = this.schema.descriptionGuide;
+        const phrases = this.i18n.t('descriptionGuide.vaguePhrases', {}, vaguePhrases.join('\n')).split('\n');
+
+        // Compare whole words only, so "help" doesn't match "helpdesk"
+        const words = ` ${text.toLowerCase().replace(/[\u2018\u2019]/g, '\'').replace(/[^\p{L}\p{N}']+/gu, ' ')} `;
+        return phrases.find(phrase => phrase && words.includes(` ${phrase.toLowerCase()} `)) || null;
     }
 
     /**
-     * Move to the previous step
+     * Update the character counter, the template button and the quality hint
      */
-    prevStep() {
-        if (this.currentStep > 1) {
-            this.hideCurrentStep();
-            this.currentStep--;
-            this.showCurrentStep();
-            this.updateStepIndicator();
-            this.updateProgress();
-            this.scrollToTop();
+    updateDescriptionGuide() {
+        const guide = this.schema.descriptionGuide;
+        const textarea = guide && this.root.getElementById(guide.fieldId);
+        if (!textarea) return;
+
+        // The details and attachment links are posted as part of the description, so they count too
+        const counter = this.root.getElementById(`${guide.fieldId}-counter`);
+        const locale = this.i18n.getLocale();
+        const added = this.getAddedDescriptionLength();
+        const length = textarea.value.length + added;
+        counter.textContent = this.i18n.t(added > 0 ? 'description.counterWithAdded' : 'description.counter', {
+            length: length.toLocaleString(locale),
+            max: textarea.maxLength.toLocaleString(locale),
+            added: added.toLocaleString(locale)
+        });
+        counter.classList.toggle('near-limit', length > textarea.maxLength * 0.9);
+
+        // Nothing to insert once every question of this template is in the text
+        const template = this.getDescriptionTemplate();
+        this.root.getElementById(`${guide.fieldId}-template`).disabled = template.every(prompt => textarea.value.includes(prompt));
+
+        this.renderDescriptionHint(this.getDescriptionQuality(textarea.value));
+    }
+
+    /**
+     * Show the quality hint under the description
+     * @param {Object|null} quality - The result of getDescriptionQuality()
+     */
+    renderDescriptionHint(quality) {
+        const hint = this.root.getElementById(`${this.schema.descriptionGuide.fieldId}-hint`);
+
+        // The hint is a live region: only touch it when it actually changes
+        const key = JSON.stringify(quality);
+        if (key === this.descriptionHintKey) return;
+        this.descriptionHintKey = key;
+
+        hint.innerHTML = '';
+        hint.hidden = !quality;
+        if (!quality) return;
+
+        hint.className = `description-hint ${quality.level}`;
+        const message = document.createElement('p');
+        message.textContent = this.i18n.t(`description.hint.${quality.level}`, quality.params);
+        hint.appendChild(message);
+
+        if (quality.missing.length > 0) {
+            const list = document.createElement('ul');
+            quality.missing.forEach(prompt => {
+                const item = document.createElement('li');
+                item.textContent = prompt;
+                list.appendChild(item);
+            });
+            hint.appendChild(list);
         }
     }
 
     /**
-     * Hide the current step with animation
+     * Add the template questions for the selected reason below any text already written
      */
-    hideCurrentStep() {
-        const currentStepElement = document.getElementById(`step${this.currentStep}`);
-        currentStepElement.style.animation = 'slideOutLeft 0.3s ease-out';
-        setTimeout(() => {
-            currentStepElement.classList.remove('active');
-            currentStepElement.style.animation = '';
-        }, 300);
+    insertDescriptionTemplate() {
+        const textarea = this.root.getElementById(this.schema.descriptionGuide.fieldId);
+        const template = this.getDescriptionTemplate();
+        const existing = textarea.value.trimEnd();
+        const before = existing ? `${existing}\n\n` : '';
+
+        // One empty line under each question to answer on
+        textarea.value = before + template.map(prompt => `${prompt}\n`).join('\n');
+        textarea.focus();
+        const cursor = before.length + template[0].length + 1;
+        textarea.setSelectionRange(cursor, cursor);
+        textarea.dispatchEvent(new Event('input', { bubbles: true }));
+
+        this.track('description_template_inserted', this.getStepProperties(this.currentStep));
     }
 
     /**
-     * Show the current step with animation
+     * Set up the attachment field when an upload endpoint is configured
      */
-    showCurrentStep() {
-        setTimeout(() => {
-            const currentStepElement = document.getElementById(`step${this.currentStep}`);
-            currentStepElement.classList.add('active');
-            currentStepElement.style.animation = 'slideInRight 0.3s ease-out';
-        }, 300);
+    initAttachments() {
+        const options = this.schema.attachments;
+        if (!options || !options.uploadUrl || !this.root.getElementById(options.fieldId)) return;
+
+        this.attachments = new AttachmentField(options, this.schema.id, this.root, this.i18n);
     }
 
     /**
-     * Update the step indicator
+     * Set up fetch-based submission and the offline outbox in ajax mode
      */
-    updateStepIndicator() {
-        // Reset all steps
-        document.querySelectorAll('.step').forEach(step => {
-            step.classList.remove('active', 'completed');
-        });
+    initSubmitter() {
+        const options = this.getSubmissionOptions();
+        if (options.mode !== 'ajax') return;
 
-        // Mark completed steps
-        for (let i = 1; i < this.currentStep; i++) {
-            document.querySelector(`[data-step="${i}"]`).classList.add('completed');
-        }
+        this.submitter = new CaseSubmitter(options);
 
-        // Mark current step as active
-        document.querySelector(`[data-step="${this.currentStep}"]`).classList.add('active');
+        window.addEventListener('online', () => this.flushOutbox());
+        this.flushOutbox();
+    }
+
+    /**
+     * Set up the honeypot, timing, rate limit and challenge checks
+     */
+    initSpamProtection() {
+        if (!this.schema.spamProtection) return;
+
+        this.spamGuard = new SpamGuard(this.schema.spamProtection, this.schema.id, this.root, this.i18n);
+    }
+
+    /**
+     * Suggest knowledge base articles while the subject, description and reason are filled in
+     */
+    initKnowledgeBase() {
+        const options = this.schema.knowledgeBase;
+        if (!options || !options.indexUrl || !this.root.getElementById(options.containerId)) return;
+
+        const indexUrl = new URL(options.indexUrl, this.baseUrl).toString();
+        this.articleSuggester = new ArticleSuggester({ ...options, indexUrl }, this.schema.id, article => {
+            this.track('article_resolved', { articleId: article.id, ...this.getStepProperties(this.currentStep) });
+            this.flushAnalytics();
+            this.resolveWithArticle();
+        }, this.root, this.i18n);
+
+        ['subject', 'description'].forEach(id => {
+            this.root.getElementById(id).addEventListener('input', () => this.scheduleSuggestions());
+        });
+        this.root.getElementById('reason').addEventListener('change', () => this.scheduleSuggestions());
+    }
+
+    /**
+     * Show the "My recent requests" panel and keep adding to it
+     */
+    initSubmissionHistory() {
+        this.submissionHistory = new SubmissionHistory(this.root.querySelector('[data-submission-history]'), '', this.i18n);
+        this.submissionHistory.render();
+    }
+
+    /**
+     * Remember recent submissions so the review step can warn about repeats
+     */
+    initDuplicateCheck() {
+        if (!this.schema.duplicateCheck) return;
+
+        this.duplicateDetector = new DuplicateDetector(this.schema.duplicateCheck, this.schema.id);
+    }
+
+    /**
+     * Get the values that identify a case for duplicate detection
+     * @returns {{email: string, reason: string, subject: string}} - The current values
+     */
+    getDuplicateCheckData() {
+        return {
+            email: this.root.getElementById('email').value,
+            reason: this.root.getElementById('reason').value,
+            subject: this.root.getElementById('subject').value
+        };
+    }
+
+    /**
+     * Remember the case that is being sent, for the history panel, the success page receipt
+     * and so sending it again can be caught
+     * @param {boolean} isSent - Whether the case is known to have been sent (ajax or queued)
+     */
+    rememberSubmission(isSent) {
+        // A native POST is only counted once the success page confirms it
+        if (this.spamGuard) {
+            if (isSent) {
+                this.spamGuard.recordSubmission();
+            } else {
+                this.spamGuard.recordPendingSubmission(this.submissionId);
+            }
+        }
+        if (this.duplicateDetector) {
+            if (isSent) {
+                this.duplicateDetector.record(this.getDuplicateCheckData());
+            } else {
+                this.duplicateDetector.recordPending(this.getDuplicateCheckData(), this.submissionId);
+            }
+        }
+        if (this.submissionHistory) {
+            const entry = {
+                submissionId: this.submissionId,
+                submittedAt: this.submissionSummary.submittedAt,
+                subject: this.getPlainText('subject'),
+                department: this.getPlainText('recordType'),
+                type: this.getPlainText('type'),
+                priority: this.getPlainText('priority')
+            };
+            if (isSent) {
+                this.submissionHistory.add(entry);
+            } else {
+                this.submissionHistory.addPending(entry);
+            }
+        }
+        if (this.schema.receipt) {
+            this.saveReceipt();
+        }
+    }
+
+    /**
+     * Save what was submitted for the receipt on the success page, as it was posted
+     * (the description includes the additional details and attachment links)
+     */
+    saveReceipt() {
+        const fields = this.schema.receipt.fields
+            .map(fieldId => this.getField(fieldId))
+            .filter(field => field && this.isFieldActive(field))
+            .map(field => ({
+                id: field.id,
+                label: field.label || field.id,
+                value: this.getPlainText(field.id),
+                multiline: this.root.getElementById(field.id).tagName === 'TEXTAREA'
+            }));
+
+        CaseReceipt.save({
+            submissionId: this.submissionId,
+            submittedAt: this.submissionSummary.submittedAt,
+            fields
+        });
+    }
+
+    /**
+     * Warn on the review step when a similar case was sent recently, asking for confirmation
+     * @param {HTMLElement} container - The review container to add the warning to
+     */
+    renderDuplicateWarning(container) {
+        if (!this.duplicateDetector) return;
+
+        const match = this.duplicateDetector.findMatch(this.getDuplicateCheckData());
+        // A confirmation only counts for the earlier case it was given for
+        if (!match || !this.duplicateMatch || match.submittedAt !== this.duplicateMatch.submittedAt) {
+            this.isDuplicateConfirmed = false;
+        }
+        this.duplicateMatch = match;
+        if (!match) return;
+
+        const warning = document.createElement('div');
+        warning.className = 'duplicate-warning';
+        warning.setAttribute('role', 'alert');
+
+        const message = document.createElement('p');
+        message.textContent = this.i18n.t('duplicate.warning', {
+            date: this.i18n.formatDate(new Date(match.submittedAt), { dateStyle: 'medium', timeStyle: 'short' })
+        });
+
+        // No name, so the confirmation isn't posted with the case
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = 'duplicateConfirm';
+        checkbox.checked = this.isDuplicateConfirmed;
+        checkbox.addEventListener('change', () => {
+            this.isDuplicateConfirmed = checkbox.checked;
+            if (checkbox.checked) {
+                this.clearErrors();
+            }
+        });
+        label.append(checkbox, ' ', this.i18n.t('duplicate.confirm'));
+
+        warning.append(message, label);
+        container.insertBefore(warning, container.firstChild);
+    }
+
+    /**
+     * Search the knowledge base after the user stops typing
+     */
+    scheduleSuggestions() {
+        clearTimeout(this.suggestionTimer);
+        this.suggestionTimer = setTimeout(() => {
+            const text = `${this.root.getElementById('subject').value} ${this.root.getElementById('description').value}`;
+            this.articleSuggester.update(text, this.root.getElementById('reason').value);
+        }, SUGGESTION_DELAY);
+    }
+
+    /**
+     * Render the step indicator from the schema steps
+     */
+    renderStepIndicator() {
+        const indicator = this.root.querySelector('.step-indicator');
+        indicator.innerHTML = '';
+        indicator.setAttribute('role', 'list');
+        indicator.setAttribute('aria-label', this.i18n.t('a11y.steps'));
+
+        this.schema.steps.forEach((step, index) => {
+            if (index > 0) {
+                const connector = document.createElement('div');
+                connector.className = 'step-connector';
+                connector.setAttribute('aria-hidden', 'true');
+                indicator.appendChild(connector);
+            }
+
+            const stepElement = document.createElement('div');
+            stepElement.className = 'step';
+            stepElement.dataset.step = index + 1;
+            stepElement.setAttribute('role', 'listitem');
+
+            const number = document.createElement('div');
+            number.className = 'step-number';
+            number.textContent = index + 1;
+
+            const title = document.createElement('div');
+            title.className = 'step-title';
+            title.textContent = this.getStepText(step, 'title');
+
+            // Spoken state, since the completed/active styling is only visual
+            const status = document.createElement('span');
+            status.className = 'step-status visually-hidden';
+
+            stepElement.append(number, title, status);
+            indicator.appendChild(stepElement);
+        });
+
+        this.updateStepIndicator();
+    }
+
+    /**
+     * Bind all event listeners
+     */
+    bindEvents() {
+        // Next button events
+        this.root.querySelectorAll('[data-nav="next"]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.goForward();
+            });
+        });
+
+        // "Back to Review" while editing a field from the review step
+        this.root.querySelectorAll('[data-nav="review"]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.returnToReview();
+            });
+        });
+
+        // Back button events
+        this.root.querySelectorAll('[data-nav="back"]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.prevStep();
+            });
+        });
+
+        // Priority radiogroup: click, or arrow keys / Space like native radio buttons
+        this.root.querySelectorAll('.priority-badge').forEach(badge => {
+            badge.addEventListener('click', () => {
+                this.isPriorityChosen = true;
+                this.selectPriority(badge);
+            });
+            badge.addEventListener('keydown', (e) => {
+                this.handlePriorityKeydown(e, badge);
+            });
+        });
+
+        // Form submission
+        this.root.getElementById('caseForm').addEventListener('submit', (e) => {
+            this.handleFormSubmission(e);
+        });
+
+        // Coming back from the next page (back/forward cache) shouldn't leave the button disabled
+        window.addEventListener('pageshow', (e) => {
+            if (e.persisted) {
+                clearTimeout(this.navigationTimer);
+                this.isSubmitting = false;
+                this.restoreDescription();
+                this.resetSubmitButton();
+            }
+        });
+
+        // Real-time validation and progress tracking
+        const inputs = this.root.querySelectorAll('input, select, textarea');
+        inputs.forEach(input => {
+            input.addEventListener('input', () => this.handleInputChange(input));
+            input.addEventListener('change', () => this.handleInputChange(input));
+        });
+
+        // Check a field against its rules once the user leaves it
+        this.getFields().forEach(field => {
+            const element = this.root.getElementById(field.id);
+            if (!element) return;
+
+            element.addEventListener('blur', () => {
+                // Skip untouched empty fields so tabbing through doesn't flag them
+                if (element.value.trim() || element.getAttribute('aria-invalid') === 'true') {
+                    this.validateFieldInline(field);
+                }
+            });
+        });
+
+        // Language switcher
+        this.i18n.onLanguageChange(() => this.refreshLanguage());
+
+        // Keyboard navigation
+        this.root.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.ctrlKey) {
+                this.handleKeyboardNavigation();
+            }
+        });
+    }
+
+    /**
+     * Get the schema configuration of a step
+     * @param {number} stepNumber - The 1-based step number
+     * @returns {Object} - The step configuration
+     */
+    getStepConfig(stepNumber) {
+        return this.schema.steps[stepNumber - 1];
+    }
+
+    /**
+     * Get every field defined in the schema, in step order
+     * @returns {Object[]} - The field configurations
+     */
+    getFields() {
+        return this.schema.steps.flatMap(step => step.fields || []);
+    }
+
+    /**
+     * Get the schema configuration of a field
+     * @param {string} fieldId - The field ID
+     * @returns {Object|undefined} - The field configuration
+     */
+    getField(fieldId) {
+        return this.getFields().find(field => field.id === fieldId);
+    }
+
+    /**
+     * Validate the current step and move forward, refreshing the review when it is next
+     */
+    goForward() {
+        // Ignore repeated clicks while the step is still sliding
+        if (this.stepState !== STEP_STATES.IDLE) return;
+
+        if (this.isEditingFromReview) {
+            this.returnToReview();
+            return;
+        }
+
+        if (!this.validateStep(this.currentStep)) {
+            return;
+        }
+        this.track('step_complete', this.getStepProperties(this.currentStep));
+        this.nextStep();
+    }
+
+    /**
+     * Validate every field of a step against its schema rules
+     * @param {number} stepNumber - The 1-based step number
+     * @returns {boolean} - Whether the step is valid
+     */
+    validateStep(stepNumber) {
+        const fields = this.getStepConfig(stepNumber).fields || [];
+        const errors = [];
+
+        fields.forEach(field => {
+            const error = this.validateField(field);
+            if (error) {
+                errors.push({ field, ...error });
+                this.setFieldError(field, error.message);
+            } else {
+                this.clearFieldError(field);
+            }
+        });
+
+        if (errors.length > 0) {
+            errors.forEach(error => {
+                this.track('validation_error', {
+                    ...this.getStepProperties(stepNumber),
+                    field: error.field.id,
+                    rule: error.rule
+                });
+            });
+            this.emit('validationerror', {
+                step: stepNumber,
+                stepId: this.getStepConfig(stepNumber).id,
+                errors: errors.map(error => ({ field: error.field.id, rule: error.rule, message: error.message }))
+            });
+            this.showErrorSummary(errors);
+            this.focusField(errors[0].field);
+            return false;
+        }
+
+        this.clearErrors();
+        return true;
+    }
+
+    /**
+     * Check whether a step is valid without showing any errors
+     * @param {number} stepNumber - The 1-based step number
+     * @returns {boolean} - Whether every field of the step passes its rules
+     */
+    isStepValid(stepNumber) {
+        const fields = this.getStepConfig(stepNumber).fields || [];
+        return fields.every(field => !this.validateField(field));
+    }
+
+    /**
+     * Validate a single field and update its inline error
+     * @param {Object} field - The field configuration
+     * @returns {boolean} - Whether the field is valid
+     */
+    validateFieldInline(field) {
+        const error = this.validateField(field);
+
+        if (error) {
+            this.setFieldError(field, error.message);
+            return false;
+        }
+
+        this.clearFieldError(field);
+        this.removeFromErrorSummary(field);
+        return true;
+    }
+
+    /**
+     * Validate a single field against its schema rules
+     * @param {Object} field - The field configuration
+     * @returns {{rule: string, message: string}|null} - The first failing rule, or null when valid
+     */
+    validateField(field) {
+        const element = this.root.getElementById(field.id);
+        if (!element || !this.isFieldActive(field)) return null;
+
+        // Template questions on their own aren't a description
+        const value = this.isGuidedField(field) ? this.parseDescription(element.value).answers : element.value.trim();
+        let rule = null;
+
+        if (!value) {
+            rule = field.required ? 'required' : null;
+        } else if (field.minLength && value.length < field.minLength) {
+            rule = 'minLength';
+        } else if (field.id === 'description' && element.maxLength > 0
+            && element.value.length + this.getAddedDescriptionLength() > element.maxLength) {
+            rule = 'maxLength';
+        } else if (field.pattern && !new RegExp(field.pattern).test(value)) {
+            rule = 'pattern';
+        } else if (field.format === 'email' && !this.isValidEmail(value)) {
+            rule = 'format';
+        } else if (field.format === 'phone' && !this.normalizer.isValidPhone(value)) {
+            rule = 'format';
+        } else if (!this.isAllowedByDependency(field.id, value)) {
+            rule = 'dependency';
+        }
+
+        if (!rule) return null;
+
+        return { rule, message: this.getFieldMessage(field, rule) };
+    }
+
+    /**
+     * Get a translated step text, falling back to the schema text
+     * @param {Object} step - The step configuration
+     * @param {string} property - 'title' or 'reviewTitle'
+     * @returns {string} - The text in the current language
+     */
+    getStepText(step, property) {
+        const text = step[property] || step.title;
+        return this.i18n.t(`steps.${step.id}.${property}`, {}, this.i18n.t(`steps.${step.id}.title`, {}, text));
+    }
+
+    /**
+     * Get a translated field label, falling back to the schema label
+     * @param {Object} field - The field configuration
+     * @returns {string} - The label in the current language
+     */
+    getFieldLabel(field) {
+        return this.i18n.t(`fields.${field.id}.label`, {}, field.label || field.id);
+    }
+
+    /**
+     * Get the translated error message for a failed rule, falling back to the schema messages
+     * @param {Object} field - The field configuration
+     * @param {string} rule - The failed rule
+     * @returns {string} - The message in the current language
+     */
+    getFieldMessage(field, rule) {
+        const ruleKey = `fields.${field.id}.${rule}`;
+        const messageKey = `fields.${field.id}.message`;
+        if (this.i18n.has(ruleKey)) return this.i18n.t(ruleKey);
+        if (this.i18n.has(messageKey)) return this.i18n.t(messageKey);
+
+        const messages = field.messages || {};
+        return messages[rule] || field.message || this.i18n.t('validation.default');
+    }
+
+    /**
+     * Move to the next step
+     */
+    nextStep() {
+        if (this.goToStep(this.currentStep + 1, { direction: 'forward', animate: true })) {
+            this.scrollToTop();
+            this.scheduleSave();
+        }
+    }
+
+    /**
+     * Move to the previous step
+     */
+    prevStep() {
+        if (this.goToStep(this.currentStep - 1, { direction: 'back', animate: true })) {
+            this.scrollToTop();
+            this.scheduleSave();
+        }
+    }
+
+    /**
+     * Show a step immediately, without the slide animation
+     * @param {number} stepNumber - The 1-based step number
+     * @param {string} historyMode - 'push' for a move the user made, 'replace' for a correction
+     */
+    jumpToStep(stepNumber, historyMode = 'replace') {
+        this.goToStep(stepNumber, { direction: 'jump', history: historyMode });
+    }
+
+    /**
+     * Move to a step. This is the only place currentStep changes, and it always matches
+     * the step marked `.active`: an animated move switches it once the old step has slid out.
+     * @param {number} stepNumber - The 1-based step number
+     * @param {Object} options - `direction` ('forward', 'back' or 'jump') for analytics,
+     *                           `animate` to slide, and `history` ('push', 'replace' or 'none')
+     *                           for the browser history entry
+     * @returns {boolean} - Whether the move happened (or started)
+     */
+    goToStep(stepNumber, { direction = 'jump', animate = false, history: historyMode = 'push' } = {}) {
+        if (!this.getStepConfig(stepNumber)) return false;
+
+        if (this.stepState !== STEP_STATES.IDLE) {
+            // Slides don't stack (e.g. a double-clicked Next); instant moves cut them short
+            if (animate) return false;
+            this.finishStepTransition();
+        }
+        if (stepNumber === this.currentStep) return false;
+
+        if (stepNumber > this.currentStep && !this.canEnterStep(stepNumber)) {
+            return false;
+        }
+
+        const from = this.root.getElementById(`step${this.currentStep}`);
+        const to = this.root.getElementById(`step${stepNumber}`);
+        this.stepTransition = { from, to, stepNumber, direction, historyMode, timer: null };
+
+        if (!animate || this.prefersReducedMotion()) {
+            this.finishStepTransition();
+            return true;
+        }
+
+        this.stepState = STEP_STATES.LEAVING;
+        from.style.animation = `slideOutLeft ${STEP_TRANSITION_MS}ms ease-out`;
+        this.stepTransition.timer = setTimeout(() => {
+            this.enterStep();
+            this.stepState = STEP_STATES.ENTERING;
+            to.style.animation = `slideInRight ${STEP_TRANSITION_MS}ms ease-out`;
+            this.stepTransition.timer = setTimeout(() => this.finishStepTransition(), STEP_TRANSITION_MS);
+        }, STEP_TRANSITION_MS);
+        return true;
+    }
+
+    /**
+     * Complete the transition in progress right away
+     */
+    finishStepTransition() {
+        const transition = this.stepTransition;
+        if (!transition) return;
+
+        clearTimeout(transition.timer);
+        if (this.currentStep !== transition.stepNumber) {
+            this.enterStep();
+        }
+        transition.from.style.animation = '';
+        transition.to.style.animation = '';
+        this.stepTransition = null;
+        this.stepState = STEP_STATES.IDLE;
+    }
+
+    /**
+     * Swap the active step and update everything that depends on the current step
+     */
+    enterStep() {
+        const { from, to, stepNumber, direction, historyMode } = this.stepTransition;
+        const fromStep = this.currentStep;
+
+        if (this.getStepConfig(stepNumber).review) {
+            // Always show the latest answers, however the review step was reached
+            this.setEditingFromReview(false);
+            this.updateReview();
+        }
+
+        from.classList.remove('active');
+        to.classList.add('active');
+        this.currentStep = stepNumber;
+
+        this.trackStepChange(fromStep, direction);
+        this.updateStepIndicator();
+        this.updateProgress();
+        this.announceStep();
+        this.focusStepHeading();
+        this.updateStepHistory(historyMode);
+        this.emit('stepchange', {
+            step: stepNumber,
+            stepId: this.getStepConfig(stepNumber).id,
+            previousStep: fromStep,
+            direction
+        });
+    }
+
+    /**
+     * Check that every step before a step has been completed
+     * @param {number} stepNumber - The 1-based step number
+     * @returns {boolean} - Whether the step may be shown
+     */
+    canEnterStep(stepNumber) {
+        for (let step = 1; step < stepNumber; step++) {
+            if (!this.isStepValid(step)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Whether the user asked for less motion
+     * @returns {boolean} - True when animations should be skipped
+     */
+    prefersReducedMotion() {
+        return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+    }
+
+    /**
+     * Record the first step in the browser history and follow Back/Forward between steps
+     */
+    initStepHistory() {
+        if (!this.syncHistory) return;
+
+        this.updateStepHistory('replace');
+
+        window.addEventListener('popstate', () => {
+            const stepNumber = this.getStepFromLocation();
+            if (!stepNumber) return;
+
+            this.finishStepTransition();
+            if (stepNumber === this.currentStep) return;
+
+            const direction = stepNumber < this.currentStep ? 'back' : 'forward';
+            if (!this.goToStep(stepNumber, { direction, animate: true, history: 'none' })) {
+                // Forward into a step that isn't unlocked yet: stay, and show what's missing
+                this.updateStepHistory('replace');
+                this.validateStep(this.currentStep);
+            }
+        });
+    }
+
+    /**
+     * Point the URL at the current step
+     * @param {string} mode - 'push' adds a history entry, 'replace' rewrites the current one, 'none' leaves it
+     */
+    updateStepHistory(mode) {
+        if (mode === 'none' || !this.syncHistory || !window.history || !history.replaceState) return;
+
+        const url = `${window.location.pathname}${window.location.search}${STEP_HASH_PREFIX}${this.getStepConfig(this.currentStep).id}`;
+        const state = { ...history.state, step: this.currentStep };
+        if (mode === 'push') {
+            history.pushState(state, '', url);
+        } else {
+            history.replaceState(state, '', url);
+        }
+    }
+
+    /**
+     * Read the step from the history state or the URL hash
+     * @returns {number|null} - The 1-based step number, or null when the URL names no step
+     */
+    getStepFromLocation() {
+        if (history.state && this.getStepConfig(history.state.step)) {
+            return history.state.step;
+        }
+
+        const hash = window.location.hash;
+        if (!hash.startsWith(STEP_HASH_PREFIX)) return null;
+
+        const index = this.schema.steps.findIndex(step => step.id === hash.slice(STEP_HASH_PREFIX.length));
+        return index >= 0 ? index + 1 : null;
+    }
+
+    /**
+     * Show a step, as long as every step before it is complete
+     * @param {number|string} step - The 1-based step number or the step ID (e.g. 'review')
+     * @returns {boolean} - Whether the form moved to the step
+     */
+    goTo(step) {
+        const stepNumber = typeof step === 'string'
+            ? this.schema.steps.findIndex(config => config.id === step) + 1
+            : Number(step);
+        return this.goToStep(stepNumber);
+    }
+
+    /**
+     * Get the values that would be submitted
+     * @returns {Object<string, string>} - Values of the active fields, keyed by field ID
+     */
+    getData() {
+        const data = {};
+        this.getFields().forEach(field => {
+            const element = this.root.getElementById(field.id);
+            if (element && element.type !== 'file' && this.isFieldActive(field)) {
+                data[field.id] = element.value;
+            }
+        });
+        return data;
+    }
+
+    /**
+     * Fill in fields; fields left out (or empty) and locked fields keep their value
+     * @param {Object<string, string>} data - Values keyed by field ID
+     */
+    setData(data) {
+        const { currentStep, ...values } = data;
+        this.restoreFormData(values);
+        if (this.getStepConfig(this.currentStep).review) {
+            this.updateReview();
+        }
+        this.scheduleSave();
+    }
+
+    /**
+     * Validate every step, showing the first one with errors
+     * @returns {boolean} - Whether the whole form is valid
+     */
+    validate() {
+        this.normalizeFields();
+
+        for (let step = 1; step <= this.totalSteps; step++) {
+            if (!this.isStepValid(step)) {
+                this.jumpToStep(step);
+                this.validateStep(step);
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Submit the form as if the student pressed Submit on the review step
+     * @returns {boolean} - Whether the submission started (the outcome arrives as an event)
+     */
+    submit() {
+        if (this.isSubmitting || !this.validate()) return false;
+
+        // The review step is where a repeat of a recent case gets confirmed
+        const reviewStep = this.schema.steps.findIndex(step => step.review) + 1;
+        if (reviewStep > 0) {
+            this.goToStep(reviewStep, { history: 'replace' });
+        }
+
+        const form = this.root.getElementById('caseForm');
+        form.requestSubmit(this.root.getElementById('submitBtn'));
+        return true;
+    }
+
+    /**
+     * Move focus to the current step's heading so keyboard and screen reader users start there
+     */
+    focusStepHeading() {
+        const heading = this.root.querySelector(`#step${this.currentStep} .section-title`);
+        if (heading) {
+            heading.focus({ preventScroll: true });
+        }
+    }
+
+    /**
+     * Announce the current step through the live region
+     */
+    announceStep() {
+        const announcer = this.root.getElementById('stepAnnouncer');
+        if (!announcer) return;
+
+        announcer.textContent = this.i18n.t('a11y.stepAnnouncement', {
+            current: this.currentStep,
+            total: this.totalSteps,
+            title: this.getStepText(this.getStepConfig(this.currentStep), 'title')
+        });
+    }
+
+    /**
+     * Update the step indicator
+     */
+    updateStepIndicator() {
+        // Reset all steps
+        this.root.querySelectorAll('.step').forEach(step => {
+            step.classList.remove('active', 'completed');
+            step.removeAttribute('aria-current');
+            step.querySelector('.step-status').textContent = '';
+        });
+
+        // Mark completed steps
+        for (let i = 1; i < this.currentStep; i++) {
+            const step = this.root.querySelector(`[data-step="${i}"]`);
+            step.classList.add('completed');
+            step.querySelector('.step-status').textContent = this.i18n.t('a11y.stepCompleted');
+        }
+
+        // Mark current step as active
+        const current = this.root.querySelector(`[data-step="${this.currentStep}"]`);
+        current.classList.add('active');
+        current.setAttribute('aria-current', 'step');
+        current.querySelector('.step-status').textContent = this.i18n.t('a11y.stepCurrent');
+    }
+
+    /**
+     * Update the progress bar
+     */
+    updateProgress() {
+        const progressFill = this.root.getElementById('progressFill');
+        const progress = (this.currentStep / this.totalSteps) * 100;
+        progressFill.style.width = progress + '%';
+
+        const progressBar = progressFill.parentElement;
+        progressBar.setAttribute('aria-valuemin', 1);
+        progressBar.setAttribute('aria-valuemax', this.totalSteps);
+        progressBar.setAttribute('aria-valuenow', this.currentStep);
+        progressBar.setAttribute('aria-valuetext', this.i18n.t('a11y.progressText', {
+            current: this.currentStep,
+            total: this.totalSteps
+        }));
+    }
+
+    /**
+     * Handle priority badge selection
+     * @param {HTMLElement} badge - The selected priority badge
+     */
+    selectPriority(badge) {
+        if (this.isLocked('priority')) return;
+
+        // Remove active class from all badges
+        this.root.querySelectorAll('.priority-badge').forEach(b => {
+            b.classList.remove('active');
+            b.setAttribute('aria-checked', 'false');
+            b.tabIndex = -1;
+        });
+        
+        // Add active class to selected badge; it becomes the radiogroup's tab stop
+        badge.classList.add('active');
+        badge.setAttribute('aria-checked', 'true');
+        badge.tabIndex = 0;
+        
+        // Update hidden select value
+        this.root.getElementById('priority').value = badge.dataset.value;
+        
+        // Add visual feedback
+        this.addSelectionFeedback(badge);
+        // Critical and Urgent ask for a justification
+        this.updateConditionalFields();
+        if (this.schema.priorityGuidance) {
+            this.showPriorityGuidance();
+        }
+        this.handleInputChange(this.root.getElementById('priority'));
+    }
+
+    /**
+     * Move through the priority radiogroup with the arrow keys, Home and End
+     * @param {KeyboardEvent} e - The keydown event
+     * @param {HTMLElement} badge - The focused priority badge
+     */
+    handlePriorityKeydown(e, badge) {
+        if (this.isLocked('priority')) return;
+
+        const badges = Array.from(this.root.querySelectorAll('.priority-badge'));
+        const index = badges.indexOf(badge);
+        let target = null;
+
+        switch (e.key) {
+            case 'ArrowRight':
+            case 'ArrowDown':
+                target = badges[(index + 1) % badges.length];
+                break;
+            case 'ArrowLeft':
+            case 'ArrowUp':
+                target = badges[(index - 1 + badges.length) % badges.length];
+                break;
+            case 'Home':
+                target = badges[0];
+                break;
+            case 'End':
+                target = badges[badges.length - 1];
+                break;
+            case ' ':
+            case 'Enter':
+                // Ctrl+Enter still moves to the next step
+                if (e.ctrlKey) return;
+                target = badge;
+                break;
+            default:
+                return;
+        }
+
+        e.preventDefault();
+        this.isPriorityChosen = true;
+        this.selectPriority(target);
+        target.focus();
+    }
+
+    /**
+     * Update the review section with form data
+     */
+    updateReview() {
+        const container = this.root.getElementById('reviewSections');
+        container.innerHTML = '';
+
+        this.schema.steps.forEach((step, index) => {
+            if (!step.fields || step.fields.length === 0) return;
+
+            const fields = step.fields.filter(field => this.isFieldActive(field));
+            const title = this.getStepText(step, 'reviewTitle');
+            const section = this.createReviewSection(title, () => this.editFromReview(index + 1, fields[0]));
+
+            const grid = document.createElement('div');
+            grid.className = 'review-grid';
+
+            fields.forEach(field => {
+                const item = document.createElement('div');
+                item.className = field.fullWidth ? 'review-item full-width' : 'review-item';
+
+                // The label jumps straight to the field
+                const label = document.createElement('strong');
+                const link = document.createElement('button');
+                link.type = 'button';
+                link.className = 'review-field-link';
+                link.textContent = `${this.getFieldLabel(field)}:`;
+                link.setAttribute('aria-label', this.i18n.t('review.editField', { field: this.getFieldLabel(field) }));
+                link.addEventListener('click', () => this.editFromReview(index + 1, field));
+                label.appendChild(link);
+
+                const value = document.createElement('span');
+                value.id = `review-${field.id}`;
+                value.textContent = this.getReviewText(field);
+                if (this.isGuidedField(field)) {
+                    // Shown in full, with the template questions as headings
+                    item.classList.add('structured');
+                    this.highlightDescriptionPrompts(value);
+                }
+
+                item.append(label, ' ', value);
+
+                // Long text is cut short, but can be expanded so nothing is submitted unseen
+                const fullText = this.getReviewText(field, true);
+                if (fullText !== value.textContent) {
+                    item.appendChild(this.createReviewToggle(value, fullText));
+                }
+
+                grid.appendChild(item);
+            });
+
+            section.appendChild(grid);
+            container.appendChild(section);
+        });
+
+        if (this.attachments && this.attachments.files.length > 0) {
+            const input = this.attachments.input;
+            const stepNumber = Number(input.closest('.form-step').id.replace('step', ''));
+            const section = this.createReviewSection(this.i18n.t('review.attachments'), () => {
+                this.editFromReview(stepNumber, null);
+                input.focus();
+            });
+
+            const list = document.createElement('ul');
+            list.className = 'review-attachments';
+            this.attachments.getSummary().forEach(entry => {
+                const item = document.createElement('li');
+                item.textContent = entry;
+                list.appendChild(item);
+            });
+
+            section.appendChild(list);
+            container.appendChild(section);
+        }
+
+        this.renderDuplicateWarning(container);
+    }
+
+    /**
+     * Turn the template questions in a review value into headings
+     * @param {HTMLElement} element - The review value, holding the description as text
+     */
+    highlightDescriptionPrompts(element) {
+        const prompts = this.getDescriptionPrompts();
+        const lines = element.textContent.split('\n');
+        element.textContent = '';
+
+        lines.forEach((line, index) => {
+            if (prompts.has(line.trim())) {
+                const prompt = document.createElement('strong');
+                prompt.className = 'review-prompt';
+                prompt.textContent = line.trim();
+                element.appendChild(prompt);
+            } else {
+                element.append(index < lines.length - 1 ? `${line}\n` : line);
+            }
+        });
+    }
+
+    /**
+     * Create a review section with its heading and "Edit" action
+     * @param {string} title - The section heading
+     * @param {Function} onEdit - Called when the section's Edit button is used
+     * @returns {HTMLElement} - The section element
+     */
+    createReviewSection(title, onEdit) {
+        const section = document.createElement('div');
+        section.className = 'review-section';
+
+        const header = document.createElement('div');
+        header.className = 'review-section-header';
+
+        const heading = document.createElement('h2');
+        heading.textContent = title;
+
+        const editBtn = document.createElement('button');
+        editBtn.type = 'button';
+        editBtn.className = 'review-edit';
+        editBtn.textContent = this.i18n.t('review.edit');
+        editBtn.setAttribute('aria-label', this.i18n.t('review.editSection', { section: title }));
+        editBtn.addEventListener('click', onEdit);
+
+        header.append(heading, editBtn);
+        section.appendChild(header);
+        return section;
+    }
+
+    /**
+     * Create the "Show full text" toggle for a truncated review value
+     * @param {HTMLElement} value - The review value element
+     * @param {string} fullText - The untruncated text
+     * @returns {HTMLButtonElement} - The toggle button
+     */
+    createReviewToggle(value, fullText) {
+        const shortText = value.textContent;
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'review-toggle';
+        toggle.textContent = this.i18n.t('review.showMore');
+        toggle.setAttribute('aria-expanded', 'false');
+        toggle.setAttribute('aria-controls', value.id);
+
+        toggle.addEventListener('click', () => {
+            const expanded = toggle.getAttribute('aria-expanded') !== 'true';
+            value.textContent = expanded ? fullText : shortText;
+            value.classList.toggle('expanded', expanded);
+            toggle.textContent = this.i18n.t(expanded ? 'review.showLess' : 'review.showMore');
+            toggle.setAttribute('aria-expanded', String(expanded));
+        });
+
+        return toggle;
+    }
+
+    /**
+     * Jump from the review step to a field, offering a way straight back
+     * @param {number} stepNumber - The step that holds the field
+     * @param {Object|null} field - The field to focus (null to leave focus on the step heading)
+     */
+    editFromReview(stepNumber, field) {
+        this.setEditingFromReview(true);
+        this.clearErrors();
+        this.jumpToStep(stepNumber, 'push');
+        if (field) {
+            this.focusField(field);
+        }
+    }
+
+    /**
+     * Re-validate the edited answers and go back to the review step
+     */
+    returnToReview() {
+        const reviewStep = this.schema.steps.findIndex(step => step.review) + 1;
+
+        // Edits can make other steps invalid (e.g. a new department), so check them all
+        for (let step = 1; step < reviewStep; step++) {
+            if (!this.isStepValid(step)) {
+                if (step !== this.currentStep) {
+                    this.jumpToStep(step);
+                }
+                this.validateStep(step);
+                return;
+            }
+        }
+
+        this.clearErrors();
+        this.jumpToStep(reviewStep, 'push');
+        this.scrollToTop();
+        this.scheduleSave();
+    }
+
+    /**
+     * Swap each step's Next button for "Back to Review" while editing from the review step
+     * @param {boolean} editing - Whether a review edit is in progress
+     */
+    setEditingFromReview(editing) {
+        this.isEditingFromReview = editing;
+        this.root.querySelectorAll('[data-nav="review"]').forEach(button => {
+            button.hidden = !editing;
+        });
+        this.root.querySelectorAll('[data-nav="next"]').forEach(button => {
+            button.hidden = editing;
+        });
+    }
+
+    /**
+     * Get the text shown on the review step for a field
+     * @param {Object} field - The field configuration
+     * @param {boolean} full - Skip the reviewMaxLength truncation
+     * @returns {string} - The display text
+     */
+    getReviewText(field, full = false) {
+        const element = this.root.getElementById(field.id);
+        if (!element) return '';
+
+        const isSelect = element.tagName === 'SELECT';
+        // A preview of what will be posted: the fields are only cleaned up on validate()
+        let text = isSelect ? this.getSelectText(field.id) : this.getNormalizedValue(field);
+        if (isSelect && !element.value) {
+            text = '';
+        }
+
+        if (text && field.reviewMaxLength && !full) {
+            text = this.truncateText(text, field.reviewMaxLength);
+        }
+
+        return text || field.emptyText || this.i18n.t(isSelect ? 'review.notSelected' : 'review.notProvided');
+    }
+
+    /**
+     * Get the text content of a selected option
+     * @param {string} elementId - The ID of the select element
+     * @returns {string} - The text content of the selected option
+     */
+    getSelectText(elementId) {
+        const select = this.root.getElementById(elementId);
+        const selectedOption = select.options[select.selectedIndex];
+        return selectedOption ? selectedOption.text : '';
+    }
+
+    /**
+     * Truncate text to a specified length
+     * @param {string} text - The text to truncate
+     * @param {number} length - The maximum length
+     * @returns {string} - The truncated text
+     */
+    truncateText(text, length) {
+        if (text.length <= length) return text;
+        return text.substring(0, length) + '...';
+    }
+
+    /**
+     * Validate email format
+     * @param {string} email - The email to validate
+     * @returns {boolean} - Whether the email is valid
+     */
+    isValidEmail(email) {
+        return this.normalizer.isValidEmail(this.normalizer.normalizeEmail(email));
+    }
+
+    /**
+     * Show a form-level error message (field errors use setFieldError)
+     * @param {string} message - The error message to display
+     */
+    showError(message) {
+        this.clearErrors();
+        
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'error-message';
+        errorDiv.setAttribute('role', 'alert');
+        errorDiv.textContent = message;
+        
+        const currentStep = this.root.querySelector('.form-step.active .form-section');
+        currentStep.insertBefore(errorDiv, currentStep.firstChild);
+    }
+
+    /**
+     * Show the inline error next to a field
+     * @param {Object} field - The field configuration
+     * @param {string} message - The error message to display
+     */
+    setFieldError(field, message) {
+        const element = this.root.getElementById(field.id);
+        const errorElement = this.root.getElementById(`${field.id}-error`);
+
+        element.setAttribute('aria-invalid', 'true');
+        this.getFieldControls(field).forEach(control => control.setAttribute('aria-invalid', 'true'));
+        errorElement.textContent = message;
+        errorElement.hidden = false;
+    }
+
+    /**
+     * Remove the inline error next to a field
+     * @param {Object} field - The field configuration
+     */
+    clearFieldError(field) {
+        const element = this.root.getElementById(field.id);
+        const errorElement = this.root.getElementById(`${field.id}-error`);
+
+        element.removeAttribute('aria-invalid');
+        this.getFieldControls(field).forEach(control => control.removeAttribute('aria-invalid'));
+        errorElement.textContent = '';
+        errorElement.hidden = true;
+    }
+
+    /**
+     * Get the custom widgets (e.g. the priority radiogroup) that stand in for a hidden field
+     * @param {Object} field - The field configuration
+     * @returns {HTMLElement[]} - Elements marked with data-for="<field id>"
+     */
+    getFieldControls(field) {
+        return Array.from(this.root.querySelectorAll(`[data-for="${field.id}"]`));
+    }
+
+    /**
+     * Show a summary of the step's errors, each linking to its field
+     * @param {Array<{field: Object, message: string}>} errors - The failing fields
+     */
+    showErrorSummary(errors) {
+        this.clearErrors();
+
+        const summary = document.createElement('div');
+        summary.className = 'error-summary';
+        summary.setAttribute('role', 'alert');
+        summary.tabIndex = -1;
+
+        const heading = document.createElement('strong');
+        heading.textContent = this.i18n.t('errors.summary', { count: errors.length });
+
+        const list = document.createElement('ul');
+        errors.forEach(({ field, message }) => {
+            const item = document.createElement('li');
+            item.dataset.field = field.id;
+
+            const link = document.createElement('a');
+            link.href = `#${field.id}`;
+            link.textContent = message;
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.focusField(field);
+            });
+
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+
+        summary.append(heading, list);
+
+        const currentStep = this.root.querySelector('.form-step.active .form-section');
+        currentStep.insertBefore(summary, currentStep.firstChild);
+    }
+
+    /**
+     * Remove a fixed field from the error summary, and the summary once it is empty
+     * @param {Object} field - The field configuration
+     */
+    removeFromErrorSummary(field) {
+        const summary = this.root.querySelector('.error-summary');
+        if (!summary) return;
+
+        const item = summary.querySelector(`li[data-field="${field.id}"]`);
+        if (item) {
+            item.remove();
+        }
+        if (!summary.querySelector('li')) {
+            summary.remove();
+        }
+    }
+
+    /**
+     * Move focus to a field, falling back to the error summary for hidden inputs
+     * @param {Object} field - The field configuration
+     */
+    focusField(field) {
+        let element = this.root.getElementById(field.id);
+        const control = this.getFieldControls(field)[0];
+        if (control) {
+            // Custom widgets take focus on their current tab stop
+            element = control.querySelector('[tabindex="0"]') || control;
+        }
+        element.focus();
+
+        if (this.root.activeElement !== element) {
+            const summary = this.root.querySelector('.error-summary');
+            if (summary) {
+                summary.focus();
+            }
+        }
+    }
+
+    /**
+     * Clear the form-level error message and error summary
+     */
+    clearErrors() {
+        const errorMessages = this.root.querySelectorAll('.error-message, .error-summary');
+        errorMessages.forEach(error => error.remove());
+    }
+
+    /**
+     * Handle form submission
+     * @param {Event} e - The form submission event
+     */
+    handleFormSubmission(e) {
+        const submitBtn = this.root.getElementById('submitBtn');
+        
+        // Without an org ID the case would go nowhere, or to the wrong org
+        if (!this.config.current.orgId) {
+            e.preventDefault();
+            this.track('submit_blocked', { reason: 'not-configured' });
+            this.emit('failed', { reason: 'not-configured', message: this.i18n.t('submit.notConfigured') });
+            this.showError(this.i18n.t('submit.notConfigured'));
+            return;
+        }
+        
+        // Validate every data step, with cleaned values, before the POST goes out
+        if (!this.validate()) {
+            e.preventDefault();
+            return;
+        }
+        
+        // A repeat of a recent case needs an explicit confirmation
+        if (this.duplicateMatch && !this.isDuplicateConfirmed) {
+            e.preventDefault();
+            this.track('submit_blocked', { reason: 'duplicate' });
+            this.emit('failed', { reason: 'duplicate', message: this.i18n.t('duplicate.confirmRequired') });
+            this.showError(this.i18n.t('duplicate.confirmRequired'));
+            this.root.getElementById('duplicateConfirm').focus();
+            return;
+        }
+        
+        // Block bots before anything is sent
+        if (this.spamGuard) {
+            const blocked = this.spamGuard.check();
+            if (blocked) {
+                e.preventDefault();
+                this.track('submit_blocked', { reason: blocked.reason });
+                this.emit('failed', { reason: blocked.reason, message: blocked.message });
+                this.showError(blocked.message);
+                return;
+            }
+        }
+        
+        this.addDetailsToDescription();
+        
+        // The case is on its way, so the draft is no longer needed
+        this.isSubmitting = true;
+        this.clearDraft();
+        
+        // Tell the success page what was actually submitted
+        this.submissionId = this.generateSubmissionId();
+        this.submissionSummary = this.buildSubmissionSummary();
+        this.updateReturnUrl(this.submissionSummary);
+        
+        // Update button state
+        submitBtn.textContent = this.i18n.t('submit.submitting');
+        submitBtn.disabled = true;
+        
+        // Add loading animation
+        submitBtn.style.animation = 'pulse 1s infinite';
+        
+        const hasAttachments = this.attachments && this.attachments.files.length > 0;
+        const hasChallenge = this.spamGuard && this.spamGuard.hasChallenge();
+        this.track('submit_attempt', {
+            mode: this.submitter ? 'ajax' : 'native',
+            attachmentCount: hasAttachments ? this.attachments.files.length : 0,
+            duplicateConfirmed: Boolean(this.duplicateMatch),
+            durationMs: Date.now() - this.startedAt
+        });
+        if (!this.submitter && !hasAttachments && !hasChallenge) {
+            // Native POST: the browser navigates to retURL, unless the request stalls
+            this.track('submit_sent', { mode: 'native' });
+            this.rememberSubmission(false);
+            this.emit('submitted', { ...this.submissionSummary, mode: 'native' });
+            this.flushAnalytics();
+            this.watchNativeSubmission();
+            return;
+        }
+        
+        e.preventDefault();
+        this.submitCase();
+    }
+
+    /**
+     * Run the challenge, upload any attachments, then send the case through
+     * fetch (ajax mode) or a native POST
+     */
+    async submitCase() {
+        const submitBtn = this.root.getElementById('submitBtn');
+        const form = this.root.getElementById('caseForm');
+
+        if (this.spamGuard && this.spamGuard.hasChallenge()) {
+            submitBtn.textContent = this.i18n.t('submit.verifying');
+            try {
+                const passed = await this.spamGuard.runChallenge(form);
+                if (!passed) {
+                    this.handleSubmissionFailure(this.i18n.t('submit.verificationFailed'), 'verification-failed');
+                    return;
+                }
+            } catch (error) {
+                console.warn('Could not run the verification challenge:', error);
+                this.handleSubmissionFailure(this.i18n.t('submit.verificationError'), 'verification-error');
+                return;
+            }
+        }
+
+        if (this.attachments && this.attachments.files.length > 0) {
+            submitBtn.textContent = this.i18n.t('submit.uploading');
+            try {
+                const links = await this.attachments.upload();
+                if (!this.appendToDescription(this.attachments.formatLinks(links))) {
+                    this.handleSubmissionFailure(this.i18n.t('submit.descriptionTooLong'), 'description-too-long');
+                    return;
+                }
+            } catch (error) {
+                console.warn('Could not upload attachments:', error);
+                this.handleSubmissionFailure(this.i18n.t('submit.uploadFailed'), 'upload');
+                return;
+            }
+        }
+
+        if (!this.submitter) {
+            this.track('submit_sent', { mode: 'native' });
+            this.rememberSubmission(false);
+            this.emit('submitted', { ...this.submissionSummary, mode: 'native' });
+            this.flushAnalytics();
+            // form.submit() skips the submit event, so validation doesn't run twice
+            form.submit();
+            this.watchNativeSubmission();
+            return;
+        }
+
+        submitBtn.textContent = this.i18n.t('submit.submitting');
+        try {
+            const body = new URLSearchParams(new FormData(form)).toString();
+            const result = await this.submitter.submit(body);
+
+            if (result.queued) {
+                this.track('submit_queued');
+                this.rememberSubmission(true);
+                this.emit('submitted', { ...this.submissionSummary, mode: 'queued' });
+                submitBtn.textContent = this.i18n.t('submit.queued');
+                submitBtn.style.animation = '';
+                this.showSuccessMessage(this.i18n.t('submit.offlineTitle'), this.i18n.t('submit.offlineDetail'));
+                return;
+            }
+
+            this.track('submit_success', { mode: 'ajax' });
+            this.rememberSubmission(true);
+            this.emit('submitted', { ...this.submissionSummary, mode: 'ajax' });
+            this.flushAnalytics();
+            this.showSuccessMessage();
+            window.location.href = form.elements.retURL.value;
+        } catch (error) {
+            console.warn('Could not submit case:', error);
+            this.handleSubmissionFailure(this.i18n.t('submit.failed'), error.status ? `http-${error.status}` : 'network');
+        }
+    }
+
+    /**
+     * Build the block of active addToDescription fields added to the end of the description
+     * @returns {string} - The block, or '' when none of them has a value
+     */
+    getDetailsBlock() {
+        const lines = this.getFields()
+            .filter(field => field.addToDescription && this.isFieldActive(field))
+            .map(field => [field.label || field.id, this.root.getElementById(field.id).value.trim()])
+            .filter(([, value]) => value)
+            .map(([label, value]) => `- ${label}: ${value}`);
+
+        // Staff read the labels in Salesforce, so the block stays in the schema language
+        return lines.length > 0 ? '\n\nAdditional details:\n' + lines.join('\n') : '';
+    }
+
+    /**
+     * Count the characters added to the description on submit: the details block and the
+     * attachment links, with ATTACHMENT_URL_RESERVE standing in for each URL
+     * @returns {number} - The number of characters
+     */
+    getAddedDescriptionLength() {
+        let length = this.getDetailsBlock().length;
+        if (this.attachments && this.attachments.files.length > 0) {
+            const links = this.attachments.files.map(file => ({ name: file.name, url: '' }));
+            length += this.attachments.formatLinks(links).length + links.length * ATTACHMENT_URL_RESERVE;
+        }
+        return length;
+    }
+
+    /**
+     * Append the values of active addToDescription fields to the description as a structured block
+     */
+    addDetailsToDescription() {
+        this.descriptionText = this.root.getElementById('description').value;
+
+        const block = this.getDetailsBlock();
+        if (block) {
+            this.appendToDescription(block);
+        }
+    }
+
+    /**
+     * Add a block to the end of the description. The student's text is never shortened:
+     * validation keeps room for the blocks, and a block that doesn't fit isn't added.
+     * @param {string} block - The text to add
+     * @returns {boolean} - Whether the block fit within the description's maxlength
+     */
+    appendToDescription(block) {
+        const description = this.root.getElementById('description');
+        const maxLength = description.maxLength > 0 ? description.maxLength : Infinity;
+        if (description.value.length + block.length > maxLength) return false;
+
+        description.value += block;
+        return true;
+    }
+
+    /**
+     * Put back the description as the user typed it, so a retry doesn't repeat the added blocks
+     */
+    restoreDescription() {
+        if (this.descriptionText === null) return;
+
+        this.root.getElementById('description').value = this.descriptionText;
+        this.descriptionText = null;
     }
 
     /**
-     * Update the progress bar
+     * Generate a client-side submission ID (not the Salesforce case number)
+     * @returns {string} - An ID like WEB-20250101-K3F9QZ
      */
-    updateProgress() {
-        const progressFill = document.getElementById('progressFill');
-        const progress = (this.currentStep / this.totalSteps) * 100;
-        progressFill.style.width = progress + '%';
+    generateSubmissionId() {
+        const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+        const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        const random = Array.from(crypto.getRandomValues(new Uint8Array(6)))
+            .map(byte => alphabet[byte % alphabet.length])
+            .join('');
+        return `WEB-${date}-${random}`;
     }
 
     /**
-     * Handle priority badge selection
-     * @param {HTMLElement} badge - The selected priority badge
+     * Collect the readable summary of the case for the success page
+     * @returns {Object} - Summary values keyed by success page parameter
      */
-    selectPriority(badge) {
-        // Remove active class from all badges
-        document.querySelectorAll('.priority-badge').forEach(b => b.classList.remove('active'));
-        
-        // Add active class to selected badge
-        badge.classList.add('active');
-        
-        // Update hidden select value
-        document.getElementById('priority').value = badge.dataset.value;
-        
-        // Add visual feedback
-        this.addSelectionFeedback(badge);
+    buildSubmissionSummary() {
+        const summary = {
+            submissionId: this.submissionId,
+            submittedAt: new Date().toISOString()
+        };
+
+        Object.entries(this.schema.returnParams || {}).forEach(([param, fieldId]) => {
+            summary[param] = this.getPlainText(fieldId);
+        });
+
+        return summary;
     }
 
     /**
-     * Update the review section with form data
+     * Add the submission summary to the retURL hidden input as query parameters
+     * @param {Object} summary - Summary values keyed by parameter name
      */
-    updateReview() {
-        // Contact Information
-        document.getElementById('review-name').textContent = 
-            document.getElementById('name').value || 'Not provided';
-        document.getElementById('review-email').textContent = 
-            document.getElementById('email').value || 'Not provided';
-        document.getElementById('review-phone').textContent = 
-            document.getElementById('phone').value || 'Not provided';
-        document.getElementById('review-company').textContent = 
-            document.getElementById('company').value || 'Not provided';
-
-        // Case Details
-        document.getElementById('review-recordType').textContent = 
-            this.getSelectText('recordType') || 'Not selected';
-        document.getElementById('review-type').textContent = 
-            this.getSelectText('type') || 'Not selected';
-        document.getElementById('review-reason').textContent = 
-            this.getSelectText('reason') || 'Not selected';
-        document.getElementById('review-priority').textContent = 
-            document.getElementById('priority').value || 'Not selected';
-        document.getElementById('review-subject').textContent = 
-            document.getElementById('subject').value || 'Not provided';
-        document.getElementById('review-description').textContent = 
-            this.truncateText(document.getElementById('description').value, 150) || 'Not provided';
+    updateReturnUrl(summary) {
+        const url = new URL(this.baseReturnUrl, window.location.href);
+        Object.entries(summary).forEach(([param, value]) => {
+            if (value) {
+                url.searchParams.set(param, value);
+            }
+        });
+
+        this.root.getElementById('caseForm').elements.retURL.value = url.toString();
     }
 
     /**
-     * Get the text content of a selected option
-     * @param {string} elementId - The ID of the select element
-     * @returns {string} - The text content of the selected option
+     * Get a field's readable value: the option label for selects (without its icon), else the trimmed value
+     * @param {string} fieldId - The field ID
+     * @returns {string} - The readable value
      */
-    getSelectText(elementId) {
-        const select = document.getElementById(elementId);
-        const selectedOption = select.options[select.selectedIndex];
-        return selectedOption ? selectedOption.text : '';
+    getPlainText(fieldId) {
+        const element = this.root.getElementById(fieldId);
+        if (!element || !element.value) return '';
+
+        if (element.tagName === 'SELECT') {
+            return this.getSelectText(fieldId).replace(/^[^\p{L}\p{N}]+/u, '').trim();
+        }
+        return element.value.trim();
     }
 
     /**
-     * Truncate text to a specified length
-     * @param {string} text - The text to truncate
-     * @param {number} length - The maximum length
-     * @returns {string} - The truncated text
+     * Restore the button (and the draft) after a submission that didn't go through
+     * @param {string} message - The error message to display
+     * @param {string} reason - Short failure code for analytics (e.g. 'upload', 'stalled')
      */
-    truncateText(text, length) {
-        if (text.length <= length) return text;
-        return text.substring(0, length) + '...';
+    handleSubmissionFailure(message, reason) {
+        this.track('submit_failure', { reason });
+        this.emit('failed', { reason, message });
+        this.restoreDescription();
+        this.isSubmitting = false;
+        this.resetSubmitButton();
+        this.saveFormData();
+        this.showError(message);
     }
 
     /**
-     * Validate email format
-     * @param {string} email - The email to validate
-     * @returns {boolean} - Whether the email is valid
+     * Re-enable the submit button if a native POST hasn't navigated away in time
      */
-    isValidEmail(email) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return emailRegex.test(email);
+    watchNativeSubmission() {
+        clearTimeout(this.navigationTimer);
+        this.navigationTimer = setTimeout(() => {
+            this.handleSubmissionFailure(this.i18n.t('submit.stalled'), 'stalled');
+        }, this.getSubmissionOptions().timeout);
     }
 
     /**
-     * Show error message
-     * @param {string} message - The error message to display
+     * Send requests that were queued while offline
      */
-    showError(message) {
-        this.clearErrors();
-        
-        const errorDiv = document.createElement('div');
-        errorDiv.className = 'error-message';
-        errorDiv.textContent = message;
-        
-        const currentStep = document.querySelector('.form-step.active .form-section');
-        currentStep.insertBefore(errorDiv, currentStep.firstChild);
-        
-        // Auto-hide after 5 seconds
-        setTimeout(() => {
-            this.clearErrors();
-        }, 5000);
+    async flushOutbox() {
+        const sent = await this.submitter.flushQueue();
+        if (sent > 0) {
+            this.track('outbox_sent', { count: sent });
+            this.showSuccessMessage(
+                this.i18n.t('submit.outboxSentTitle'),
+                this.i18n.t('submit.outboxSentDetail', { count: sent })
+            );
+        }
     }
 
     /**
-     * Clear all error messages
+     * Get the submission options, with defaults for anything the schema leaves out
+     * @returns {Object} - The submission options
      */
-    clearErrors() {
-        const errorMessages = document.querySelectorAll('.error-message');
-        errorMessages.forEach(error => error.remove());
+    getSubmissionOptions() {
+        return {
+            mode: 'native',
+            endpoint: this.root.getElementById('caseForm').action,
+            opaqueResponse: true,
+            timeout: 15000,
+            retries: 3,
+            retryDelay: 1000,
+            ...this.schema.submission
+        };
     }
 
     /**
-     * Handle form submission
-     * @param {Event} e - The form submission event
+     * Restore the submit button after a failed submission
      */
-    handleFormSubmission(e) {
-        const submitBtn = document.getElementById('submitBtn');
-        
-        // Validate priority selection
-        if (!document.getElementById('priority').value) {
-            e.preventDefault();
-            this.showError('Please select a priority level');
-            return;
-        }
-        
-        // Update button state
-        submitBtn.innerHTML = '⏳ Submitting...';
-        submitBtn.disabled = true;
-        
-        // Add loading animation
-        submitBtn.style.animation = 'pulse 1s infinite';
-        
-        // Show success message (for demonstration)
-        setTimeout(() => {
-            this.showSuccessMessage();
-        }, 1000);
+    resetSubmitButton() {
+        const submitBtn = this.root.getElementById('submitBtn');
+        submitBtn.textContent = this.i18n.t('index.button.submit');
+        submitBtn.disabled = false;
+        submitBtn.style.animation = '';
     }
 
     /**
      * Handle input changes for real-time feedback
+     * @param {HTMLElement} input - The input that changed
      */
-    handleInputChange() {
-        this.clearErrors();
+    handleInputChange(input) {
+        // Re-check fields that are already flagged so the error clears as soon as it's fixed
+        const field = this.getField(input.id);
+        if (field && input.getAttribute('aria-invalid') === 'true') {
+            this.validateFieldInline(field);
+        }
+
         this.updateFieldValidation();
+        this.scheduleSave();
     }
 
     /**
      * Handle keyboard navigation
      */
     handleKeyboardNavigation() {
-        const activeElement = document.activeElement;
+        const activeElement = this.root.activeElement;
         
-        if (this.currentStep < this.totalSteps && activeElement.tagName !== 'TEXTAREA') {
-            if (this.currentStep === 1 && this.validateStep1()) {
-                this.nextStep();
-            } else if (this.currentStep === 2 && this.validateStep2()) {
-                this.updateReview();
-                this.nextStep();
-            }
+        if (this.currentStep < this.totalSteps && activeElement && activeElement.tagName !== 'TEXTAREA') {
+            this.goForward();
         }
     }
 
@@ -400,15 +2459,17 @@ class MultiStepForm {
      * Update field validation styling in real-time
      */
     updateFieldValidation() {
-        const requiredFields = document.querySelectorAll('input[required], select[required], textarea[required]');
-        
-        requiredFields.forEach(field => {
-            if (field.value.trim()) {
-                field.style.borderColor = '#28a745';
-                field.style.boxShadow = '0 0 0 3px rgba(40, 167, 69, 0.1)';
+        this.getFields().forEach(field => {
+            const element = this.root.getElementById(field.id);
+            if (!element) return;
+
+            // Only mark fields green when the value actually passes its rules
+            if (element.value.trim() && !this.validateField(field)) {
+                element.style.borderColor = '#28a745';
+                element.style.boxShadow = '0 0 0 3px rgba(40, 167, 69, 0.1)';
             } else {
-                field.style.borderColor = '';
-                field.style.boxShadow = '';
+                element.style.borderColor = '';
+                element.style.boxShadow = '';
             }
         });
     }
@@ -417,8 +2478,8 @@ class MultiStepForm {
      * Scroll to top of form
      */
     scrollToTop() {
-        document.querySelector('.container').scrollIntoView({
-            behavior: 'smooth',
+        this.root.querySelector('.container').scrollIntoView({
+            behavior: this.prefersReducedMotion() ? 'auto' : 'smooth',
             block: 'start'
         });
     }
@@ -432,8 +2493,10 @@ class MultiStepForm {
 
     /**
      * Show success message
+     * @param {string} title - The headline
+     * @param {string} detail - The supporting text
      */
-    showSuccessMessage() {
+    showSuccessMessage(title = this.i18n.t('submit.successTitle'), detail = this.i18n.t('submit.successDetail')) {
         const successDiv = document.createElement('div');
         successDiv.className = 'success-message';
         successDiv.innerHTML = `
@@ -447,77 +2510,436 @@ class MultiStepForm {
                 text-align: center;
                 animation: fadeInUp 0.5s ease-out;
             ">
-                <strong>✅ Form Submitted Successfully!</strong><br>
-                <small>Your case has been created and you will receive a confirmation email shortly.</small>
+                <strong>${title}</strong><br>
+                <small>${detail}</small>
             </div>
         `;
         
-        const currentStep = document.querySelector('.form-step.active');
+        const currentStep = this.root.querySelector('.form-step.active');
         currentStep.insertBefore(successDiv, currentStep.firstChild);
     }
 
     /**
-     * Save form data to session storage (for form recovery)
+     * End the flow without filing a case once an article has answered the question
+     */
+    resolveWithArticle() {
+        this.isResolved = true;
+        this.clearDraft();
+        this.clearErrors();
+
+        const form = this.root.getElementById('caseForm');
+        [form, this.root.querySelector('.step-indicator'), this.root.querySelector('.progress-bar')].forEach(element => {
+            element.style.display = 'none';
+        });
+
+        const message = document.createElement('div');
+        message.className = 'kb-resolved';
+        message.setAttribute('role', 'status');
+        message.tabIndex = -1;
+
+        const title = document.createElement('h2');
+        title.textContent = this.i18n.t('kb.resolvedTitle');
+        const detail = document.createElement('p');
+        detail.textContent = this.i18n.t('kb.resolvedDetail');
+        const restart = document.createElement('button');
+        restart.type = 'button';
+        restart.className = 'nav-btn next-btn';
+        restart.textContent = this.i18n.t('kb.startOver');
+        // Reset in place: an embedded form can't know which page to reload
+        restart.addEventListener('click', () => {
+            message.remove();
+            this.startOver();
+        });
+
+        message.append(title, detail, restart);
+        form.parentElement.insertBefore(message, form);
+        message.focus();
+        this.scrollToTop();
+    }
+
+    /**
+     * Clear every field that isn't locked and go back to the first step
+     */
+    startOver() {
+        this.getFields().forEach(field => {
+            const element = this.root.getElementById(field.id);
+            if (element && !this.isLocked(field.id)) {
+                element.value = '';
+                element.removeAttribute('aria-invalid');
+                // Let dependent listeners (picklists, hints, suggestions) catch up
+                ['input', 'change'].forEach(type => element.dispatchEvent(new Event(type, { bubbles: true })));
+            }
+        });
+
+        if (!this.isLocked('priority')) {
+            this.isPriorityChosen = false;
+            this.root.querySelectorAll('.priority-badge').forEach((badge, index) => {
+                badge.classList.remove('active');
+                badge.setAttribute('aria-checked', 'false');
+                badge.tabIndex = index === 0 ? 0 : -1;
+            });
+            this.updatePrioritySuggestion();
+        }
+        if (this.attachments) {
+            this.attachments.clear();
+        }
+
+        this.duplicateMatch = null;
+        this.isDuplicateConfirmed = false;
+        this.isResolved = false;
+        this.clearDraft();
+        this.clearErrors();
+
+        const form = this.root.getElementById('caseForm');
+        [form, this.root.querySelector('.step-indicator'), this.root.querySelector('.progress-bar')].forEach(element => {
+            element.style.display = '';
+        });
+        this.jumpToStep(1);
+        this.updateFieldValidation();
+        this.updateProgress();
+        this.startedAt = Date.now();
+
+        const firstField = form.querySelector('.form-step.active input:not([type="hidden"]), .form-step.active select, .form-step.active textarea');
+        if (firstField) {
+            firstField.focus();
+        }
+        this.scrollToTop();
+    }
+
+    /**
+     * Get the localStorage key for this form's draft
+     * Keyed per form and schema version so a changed schema never restores stale fields
+     * @param {number} version - The schema version (defaults to the current one)
+     * @returns {string} - The storage key
+     */
+    getDraftKey(version = this.schema.version) {
+        return `${DRAFT_KEY_PREFIX}${this.schema.id}:v${version}`;
+    }
+
+    /**
+     * Save form data after the user stops typing
+     */
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => {
+            this.saveFormData();
+        }, DRAFT_SAVE_DELAY);
+    }
+
+    /**
+     * Save form data to localStorage (for form recovery)
      */
     saveFormData() {
-        const formData = {
-            name: document.getElementById('name').value,
-            email: document.getElementById('email').value,
-            phone: document.getElementById('phone').value,
-            company: document.getElementById('company').value,
-            recordType: document.getElementById('recordType').value,
-            type: document.getElementById('type').value,
-            reason: document.getElementById('reason').value,
-            priority: document.getElementById('priority').value,
-            subject: document.getElementById('subject').value,
-            description: document.getElementById('description').value,
-            currentStep: this.currentStep
-        };
+        // Don't overwrite a draft the user hasn't decided to restore or discard yet,
+        // and don't recreate one once the case has been submitted or an article solved it
+        if (this.pendingDraft || this.isSubmitting || this.isResolved) return;
+
+        const formData = { currentStep: this.currentStep };
+        let hasValues = false;
+        this.getFields().forEach(field => {
+            const element = this.root.getElementById(field.id);
+            if (element) {
+                formData[field.id] = element.value;
+                hasValues = hasValues || Boolean(element.value.trim());
+            }
+        });
         
         try {
-            this.formDataBackup = formData;
+            if (!hasValues) {
+                localStorage.removeItem(this.getDraftKey());
+                return;
+            }
+
+            localStorage.setItem(this.getDraftKey(), JSON.stringify({
+                version: this.schema.version,
+                savedAt: Date.now(),
+                data: formData
+            }));
         } catch (error) {
             console.warn('Could not save form data:', error);
         }
     }
 
     /**
-     * Load form data from session storage
+     * Load a saved draft from localStorage and offer to restore it
      */
     loadFormData() {
         try {
-            if (this.formDataBackup) {
-                const formData = this.formDataBackup;
-                
-                Object.keys(formData).forEach(key => {
-                    if (key !== 'currentStep') {
-                        const element = document.getElementById(key);
-                        if (element && formData[key]) {
-                            element.value = formData[key];
-                        }
-                    }
-                });
-                
-                // Restore priority selection
-                if (formData.priority) {
-                    const priorityBadge = document.querySelector(`[data-value="${formData.priority}"]`);
-                    if (priorityBadge) {
-                        this.selectPriority(priorityBadge);
-                    }
-                }
-                
-                this.updateProgress();
+            this.removeOutdatedDrafts();
+
+            const stored = localStorage.getItem(this.getDraftKey());
+            if (!stored) return;
+
+            const draft = JSON.parse(stored);
+            const expiryHours = this.schema.draftExpiryHours || DRAFT_EXPIRY_HOURS;
+            const isExpired = Date.now() - draft.savedAt > expiryHours * 60 * 60 * 1000;
+
+            if (draft.version !== this.schema.version || isExpired || !draft.data) {
+                this.clearDraft();
+                return;
             }
+
+            this.pendingDraft = draft;
+            this.showDraftBanner(draft);
+            this.track('draft_offered', { savedStep: Number(draft.data.currentStep) || 1 });
         } catch (error) {
             console.warn('Could not load form data:', error);
+            this.clearDraft();
+        }
+    }
+
+    /**
+     * Restore field values, priority and step from saved form data
+     * @param {Object} formData - Field values keyed by field ID, plus currentStep
+     */
+    restoreFormData(formData) {
+        this.getFields().forEach(field => {
+            const element = this.root.getElementById(field.id);
+            if (element && formData[field.id] && !this.isLocked(field.id)) {
+                element.value = formData[field.id];
+                // Let dependent listeners (e.g. department help) react to the restored value
+                element.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+        });
+        
+        // Restore priority selection
+        if (formData.priority) {
+            const priorityBadge = this.root.querySelector(`.priority-badge[data-value="${formData.priority}"]`);
+            if (priorityBadge) {
+                // A restored priority was chosen before; don't replace it with a suggestion
+                this.isPriorityChosen = true;
+                this.selectPriority(priorityBadge);
+            }
+        }
+        
+        // Restore the step the user was on
+        const step = Number(formData.currentStep);
+        if (step > 1 && step <= this.totalSteps) {
+            this.jumpToStep(step);
+        }
+        
+        this.updateFieldValidation();
+        this.updateProgress();
+    }
+
+    /**
+     * Prefill fields from whitelisted query parameters (or an encoded payload) sent by the
+     * student portal, optionally lock them, and start on the first step that still needs input
+     */
+    applyPrefill() {
+        const options = this.schema.prefill;
+        if (!options || !this.prefillFromUrl) return;
+
+        const params = new URLSearchParams(window.location.search);
+        const values = this.readPrefillPayload(params.get(options.payloadParam));
+        Object.keys(options.params).forEach(param => {
+            if (params.has(param)) {
+                values[param] = params.get(param);
+            }
+        });
+
+        // Only whitelisted parameters are used; everything else is ignored
+        const formData = {};
+        Object.entries(options.params).forEach(([param, fieldId]) => {
+            if (typeof values[param] === 'string' && values[param].trim()) {
+                formData[fieldId] = values[param].trim();
+            }
+        });
+        if (Object.keys(formData).length === 0) return;
+
+        this.restoreFormData(formData);
+
+        // Values that don't fit a field (e.g. an unknown department) are dropped, not locked
+        const filled = Object.keys(formData).filter(fieldId => {
+            return this.root.getElementById(fieldId).value === formData[fieldId];
+        });
+
+        const lock = params.get(options.lockParam);
+        if (lock) {
+            const lockAll = lock === '1' || lock === 'true';
+            const lockedParams = lock.split(',');
+            Object.entries(options.params).forEach(([param, fieldId]) => {
+                if (filled.includes(fieldId) && (lockAll || lockedParams.includes(param))) {
+                    this.lockField(fieldId);
+                }
+            });
+        }
+
+        // Keep names and emails out of the address bar, history and shared links
+        Object.keys(options.params).concat(options.payloadParam, options.lockParam).forEach(param => {
+            params.delete(param);
+        });
+        // An embedded form without sync-history leaves the host page's URL alone
+        if (this.syncHistory) {
+            const query = params.toString();
+            history.replaceState(history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+        }
+
+        const firstIncomplete = this.schema.steps.findIndex((step, index) => !this.isStepValid(index + 1)) + 1;
+        if (firstIncomplete > 1) {
+            this.jumpToStep(firstIncomplete);
+        }
+
+        this.track('prefill_applied', {
+            fieldCount: filled.length,
+            lockedCount: this.root.querySelectorAll('[data-locked="true"]').length,
+            startStep: this.currentStep
+        });
+        this.scheduleSave();
+    }
+
+    /**
+     * Decode a base64url-encoded JSON prefill payload
+     * @param {string|null} payload - The encoded payload
+     * @returns {Object} - The decoded values (empty when missing or malformed)
+     */
+    readPrefillPayload(payload) {
+        if (!payload) return {};
+
+        try {
+            const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+            const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+            const values = JSON.parse(new TextDecoder().decode(bytes));
+            return values && typeof values === 'object' ? values : {};
+        } catch (error) {
+            console.warn('Could not read prefill payload:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Make a prefilled field read-only while still posting its value
+     * @param {string} fieldId - The field ID
+     */
+    lockField(fieldId) {
+        const element = this.root.getElementById(fieldId);
+        element.dataset.locked = 'true';
+
+        if (element.tagName === 'SELECT') {
+            // Disabled selects aren't posted, so a hidden copy carries the value
+            element.disabled = true;
+            if (element.name) {
+                const mirror = document.createElement('input');
+                mirror.type = 'hidden';
+                mirror.name = element.name;
+                mirror.value = element.value;
+                element.after(mirror);
+            }
+        } else {
+            element.readOnly = true;
+        }
+
+        this.getFieldControls({ id: fieldId }).forEach(control => {
+            control.setAttribute('aria-disabled', 'true');
+        });
+
+        const group = element.closest('.form-group');
+        group.classList.add('field-locked');
+        const note = document.createElement('div');
+        note.className = 'field-info locked-note';
+        note.dataset.i18n = 'prefill.locked';
+        note.textContent = this.i18n.t('prefill.locked');
+        group.appendChild(note);
+    }
+
+    /**
+     * Check whether a field was locked by the prefill
+     * @param {string} fieldId - The field ID
+     * @returns {boolean} - Whether the field is read-only
+     */
+    isLocked(fieldId) {
+        const element = this.root.getElementById(fieldId);
+        return Boolean(element && element.dataset.locked === 'true');
+    }
+
+    /**
+     * Show the "restore your unfinished request" banner
+     * @param {Object} draft - The stored draft
+     */
+    showDraftBanner(draft) {
+        const banner = document.createElement('div');
+        banner.className = 'draft-banner';
+        banner.setAttribute('role', 'region');
+        banner.setAttribute('aria-label', this.i18n.t('draft.label'));
+
+        const text = document.createElement('p');
+        const title = document.createElement('strong');
+        title.textContent = this.i18n.t('draft.title');
+        const savedAt = document.createElement('small');
+        savedAt.textContent = this.i18n.t('draft.savedAt', {
+            date: this.i18n.formatDate(new Date(draft.savedAt), { dateStyle: 'medium', timeStyle: 'short' })
+        });
+        text.append(title, ' ', savedAt);
+
+        const actions = document.createElement('div');
+        actions.className = 'draft-banner-actions';
+
+        const restoreBtn = document.createElement('button');
+        restoreBtn.type = 'button';
+        restoreBtn.className = 'nav-btn next-btn';
+        restoreBtn.textContent = this.i18n.t('draft.restore');
+        restoreBtn.addEventListener('click', () => {
+            this.pendingDraft = null;
+            this.track('draft_restore', { savedStep: Number(draft.data.currentStep) || 1 });
+            this.restoreFormData(draft.data);
+            banner.remove();
+            this.draftBanner = null;
+        });
+
+        const discardBtn = document.createElement('button');
+        discardBtn.type = 'button';
+        discardBtn.className = 'nav-btn back-btn';
+        discardBtn.textContent = this.i18n.t('draft.discard');
+        discardBtn.addEventListener('click', () => {
+            this.track('draft_discard');
+            this.clearDraft();
+            banner.remove();
+            this.draftBanner = null;
+            this.saveFormData();
+        });
+
+        actions.append(discardBtn, restoreBtn);
+        banner.append(text, actions);
+
+        if (this.draftBanner) {
+            this.draftBanner.replaceWith(banner);
+        } else {
+            const form = this.root.getElementById('caseForm');
+            form.parentElement.insertBefore(banner, form);
         }
+        this.draftBanner = banner;
+    }
+
+    /**
+     * Remove the saved draft
+     */
+    clearDraft() {
+        this.pendingDraft = null;
+        clearTimeout(this.saveTimer);
+        try {
+            localStorage.removeItem(this.getDraftKey());
+        } catch (error) {
+            console.warn('Could not clear form data:', error);
+        }
+    }
+
+    /**
+     * Remove drafts saved by older schema versions of this form
+     */
+    removeOutdatedDrafts() {
+        const prefix = `${DRAFT_KEY_PREFIX}${this.schema.id}:`;
+        const currentKey = this.getDraftKey();
+
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(prefix) && key !== currentKey)
+            .forEach(key => localStorage.removeItem(key));
     }
 
     /**
      * Add smooth transitions for form elements
      */
     addFormAnimations() {
-        const formElements = document.querySelectorAll('input, select, textarea, button');
+        const formElements = this.root.querySelectorAll('input, select, textarea, button');
         
         formElements.forEach(element => {
             element.addEventListener('focus', (e) => {
@@ -535,24 +2957,15 @@ class MultiStepForm {
      */
     initializeTooltips() {
         const fieldsWithTooltips = [
-            {
-                id: 'description',
-                tooltip: 'Provide as much detail as possible to help us resolve your issue quickly'
-            },
-            {
-                id: 'priority',
-                tooltip: 'Select the urgency level of your request'
-            },
-            {
-                id: 'recordType',
-                tooltip: 'Choose the department that best handles your type of request'
-            }
+            { id: 'description', tooltip: 'tooltips.description' },
+            { id: 'priority', tooltip: 'tooltips.priority' },
+            { id: 'recordType', tooltip: 'tooltips.recordType' }
         ];
 
         fieldsWithTooltips.forEach(field => {
-            const element = document.getElementById(field.id);
+            const element = this.root.getElementById(field.id);
             if (element) {
-                element.title = field.tooltip;
+                element.title = this.i18n.t(field.tooltip);
             }
         });
     }
@@ -561,41 +2974,88 @@ class MultiStepForm {
      * Add dynamic help text based on selected department
      */
     addDynamicHelp() {
-        const recordTypeSelect = document.getElementById('recordType');
+        this.root.getElementById('recordType').addEventListener('change', () => {
+            this.updateDepartmentHelp();
+        });
+    }
+
+    /**
+     * Show the help text of the selected department
+     */
+    updateDepartmentHelp() {
+        const recordTypeSelect = this.root.getElementById('recordType');
+        const departments = (this.schema.dependentPicklists || {}).values || {};
         
-        recordTypeSelect.addEventListener('change', (e) => {
-            const helpTexts = {
-                '012NS0000086hDl': 'Academic & Student Affairs handles course registration, grades, transcripts, and academic advising.',
-                '012NS0000086hC9': 'Finance & Administration handles tuition fees, scholarships, payments, and financial aid.',
-                '012NS0000086ez3': 'IT Support handles technical issues with systems, passwords, software, and network connectivity.',
-                '012NS000006eYp7': 'General inquiries and other requests that don\'t fit into specific categories.'
-            };
-            
-            let helpDiv = document.querySelector('.department-help');
-            if (!helpDiv) {
-                helpDiv = document.createElement('div');
-                helpDiv.className = 'department-help';
-                helpDiv.style.cssText = `
-                    background: rgba(109, 70, 107, 0.1);
-                    color: var(--medium-purple);
-                    padding: 12px 16px;
-                    border-radius: 8px;
-                    margin-top: 8px;
-                    font-size: 0.85rem;
-                    border-left: 4px solid var(--medium-purple);
-                    animation: fadeInUp 0.3s ease-out;
-                `;
-                recordTypeSelect.parentElement.appendChild(helpDiv);
-            }
-            
-            const selectedValue = e.target.value;
-            if (selectedValue && helpTexts[selectedValue]) {
-                helpDiv.textContent = helpTexts[selectedValue];
-                helpDiv.style.display = 'block';
-            } else {
-                helpDiv.style.display = 'none';
+        let helpDiv = this.root.querySelector('.department-help');
+        if (!helpDiv) {
+            helpDiv = document.createElement('div');
+            helpDiv.className = 'department-help';
+            helpDiv.style.cssText = `
+                background: rgba(109, 70, 107, 0.1);
+                color: var(--medium-purple);
+                padding: 12px 16px;
+                border-radius: 8px;
+                margin-top: 8px;
+                font-size: 0.85rem;
+                border-left: 4px solid var(--medium-purple);
+                animation: fadeInUp 0.3s ease-out;
+            `;
+            recordTypeSelect.parentElement.appendChild(helpDiv);
+        }
+        
+        const department = departments[recordTypeSelect.value];
+        if (department && department.help) {
+            helpDiv.textContent = this.i18n.t(`departments.${department.department}.help`, {}, department.help);
+            helpDiv.style.display = 'block';
+        } else {
+            helpDiv.style.display = 'none';
+        }
+    }
+
+    /**
+     * Re-render everything built from script after the language changes
+     */
+    refreshLanguage() {
+        this.renderStepIndicator();
+        this.updateProgress();
+        if (this.schema.dependentPicklists) {
+            this.updateDependentPicklists();
+        }
+        this.updateReview();
+        this.updateDepartmentHelp();
+        this.updatePrioritySuggestion();
+        this.updateEmailSuggestion();
+        this.descriptionHintKey = null;
+        this.updateDescriptionGuide();
+        this.initializeTooltips();
+
+        if (this.attachments) {
+            this.attachments.render();
+        }
+        if (this.articleSuggester) {
+            this.articleSuggester.render();
+        }
+        this.submissionHistory.render();
+        if (this.draftBanner && this.pendingDraft) {
+            this.showDraftBanner(this.pendingDraft);
+        }
+        if (!this.isSubmitting) {
+            this.resetSubmitButton();
+        }
+
+        // Re-word visible errors, keeping the summary in sync
+        const errors = [];
+        this.getFields().forEach(field => {
+            const element = this.root.getElementById(field.id);
+            const error = element && element.getAttribute('aria-invalid') === 'true' && this.validateField(field);
+            if (error) {
+                errors.push({ field, ...error });
+                this.setFieldError(field, error.message);
             }
         });
+        if (this.root.querySelector('.error-summary') && errors.length > 0) {
+            this.showErrorSummary(errors);
+        }
     }
 }
 
@@ -605,8 +3065,9 @@ class MultiStepForm {
 
 /**
  * Add slide out animation
+ * @param {Node} parent - Where the style goes: document.head, or a shadow root
  */
-function addSlideOutAnimation() {
+function addSlideOutAnimation(parent = document.head) {
     const style = document.createElement('style');
     style.textContent = `
         @keyframes slideOutLeft {
@@ -633,18 +3094,22 @@ function addSlideOutAnimation() {
             animation: fadeInUp 0.5s ease-out;
         }
     `;
-    document.head.appendChild(style);
+    parent.appendChild(style);
 }
 
 /**
- * Initialize the form when DOM is loaded
+ * Start the form in a document or shadow root that holds the form markup
+ * @param {Document|ShadowRoot} root - The document or shadow root
+ * @param {Object} config - The deployment configuration (see form-config.js)
+ * @param {Object} options - Extra MultiStepForm options (e.g. syncHistory)
+ * @returns {MultiStepForm} - The running form
  */
-document.addEventListener('DOMContentLoaded', () => {
+export function startCaseForm(root, config, options = {}) {
     // Add additional animations
-    addSlideOutAnimation();
+    addSlideOutAnimation(root === document ? document.head : root);
     
     // Initialize the multi-step form
-    const form = new MultiStepForm();
+    const form = new MultiStepForm(caseFormSchema, config, { ...options, root });
     
     // Add form animations
     form.addFormAnimations();
@@ -655,14 +3120,9 @@ document.addEventListener('DOMContentLoaded', () => {
     // Add dynamic help for departments
     form.addDynamicHelp();
     
-    // Load any saved form data
+    // Offer to restore any saved draft
     form.loadFormData();
     
-    // Save form data periodically
-    setInterval(() => {
-        form.saveFormData();
-    }, 30000); // Save every 30 seconds
-    
     // Add visibility change handler to save data when user leaves
     document.addEventListener('visibilitychange', () => {
         if (document.hidden) {
@@ -670,5 +3130,20 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
     
+    return form;
+}
+
+/**
+ * Start the form on a page that holds the form markup itself (index.html)
+ * @returns {MultiStepForm} - The running form
+ */
+export function startCasePage() {
+    // Translate the page before anything is rendered from script
+    FormConfig.init();
+    I18n.init();
+    
+    const form = startCaseForm(document, FormConfig);
+    
     console.log('🎓 Student Support Case Form ready!');
-});
+    return form;
+}
@@ -0,0 +1,207 @@
+/**
+ * Spam Protection
+ * Cheap checks that keep bots from flooding the case queue: a honeypot field,
+ * a minimum time-to-submit, per-browser rate limiting and an optional
+ * challenge (CAPTCHA-style) provider hook.
+ *
+ * Challenge providers are registered with SpamGuard.registerChallengeProvider(name, provider).
+ * A provider is an object with:
+ *   verify(options) -> Promise<{ passed: boolean, token?: string }>
+ * The token is written to the hidden input named by `challenge.tokenField` so the
+ * receiving endpoint can verify it server-side.
+ *
+ * Only cases that were actually sent count towards the rate limit. A native POST leaves
+ * the page before that is known, so it is kept as pending in sessionStorage until the
+ * success page calls SpamGuard.confirmSubmission() with its submission ID.
+ */
+
+import { I18n } from './i18n.js';
+
+const SUBMISSION_LOG_PREFIX = 'beeversity-submissions:';
+const PENDING_SUBMISSION_PREFIX = 'beeversity-pending-submission:';
+
+const challengeProviders = {};
+
+export class SpamGuard {
+    /**
+     * Register a challenge provider
+     * @param {string} name - The name used in the schema `challenge.provider` option
+     * @param {{verify: Function}} provider - The provider implementation
+     */
+    static registerChallengeProvider(name, provider) {
+        challengeProviders[name] = provider;
+    }
+
+    /**
+     * Count a native POST towards the rate limit once Salesforce has redirected to the
+     * success page
+     * @param {string} submissionId - The client submission ID from the success page URL
+     */
+    static confirmSubmission(submissionId) {
+        if (!submissionId) return;
+
+        const key = `${PENDING_SUBMISSION_PREFIX}${submissionId}`;
+        let pending = null;
+        try {
+            pending = JSON.parse(sessionStorage.getItem(key));
+            sessionStorage.removeItem(key);
+        } catch (error) {
+            console.warn('Could not read the pending submission:', error);
+        }
+        if (!pending) return;
+
+        new SpamGuard(pending.options, pending.formId).recordSubmission();
+    }
+
+    /**
+     * @param {Object} options - The schema `spamProtection` configuration
+     * @param {string} formId - The schema form ID, used to key the submission log
+     * @param {Document|ShadowRoot} root - Where the form markup lives
+     * @param {Object} i18n - The message catalog (see i18n.js)
+     */
+    constructor(options, formId, root = document, i18n = I18n) {
+        this.options = options;
+        this.i18n = i18n;
+        this.formId = formId;
+        this.root = root;
+        this.logKey = `${SUBMISSION_LOG_PREFIX}${formId}`;
+        this.startedAt = Date.now();
+    }
+
+    /**
+     * Run the honeypot, timing and rate limit checks
+     * @returns {{reason: string, message: string}|null} - Why the submission is blocked, or null
+     */
+    check() {
+        const { honeypotFieldId, minSecondsToSubmit, rateLimit } = this.options;
+
+        const honeypot = honeypotFieldId && this.root.getElementById(honeypotFieldId);
+        if (honeypot && honeypot.value) {
+            return {
+                reason: 'honeypot',
+                message: this.i18n.t('spam.blocked')
+            };
+        }
+
+        if (minSecondsToSubmit && Date.now() - this.startedAt < minSecondsToSubmit * 1000) {
+            return {
+                reason: 'too-fast',
+                message: this.i18n.t('spam.tooFast')
+            };
+        }
+
+        if (rateLimit) {
+            const recent = this.getRecentSubmissions();
+            if (recent.length >= rateLimit.maxSubmissions) {
+                const retryAt = recent[0] + rateLimit.windowMinutes * 60 * 1000;
+                const minutes = Math.max(1, Math.ceil((retryAt - Date.now()) / 60000));
+                return {
+                    reason: 'rate-limit',
+                    message: this.i18n.t('spam.rateLimit', { count: minutes })
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Whether a challenge provider is configured
+     * @returns {boolean} - True when submissions must pass a challenge
+     */
+    hasChallenge() {
+        return Boolean(this.options.challenge && this.options.challenge.provider);
+    }
+
+    /**
+     * Run the configured challenge and store its token in the form
+     * @param {HTMLFormElement} form - The case form
+     * @returns {Promise<boolean>} - Whether the challenge was passed
+     */
+    async runChallenge(form) {
+        const { provider: name, tokenField } = this.options.challenge;
+        const provider = challengeProviders[name];
+        if (!provider) {
+            throw new Error(`Unknown challenge provider "${name}"`);
+        }
+
+        const result = await provider.verify(this.options.challenge);
+        if (!result || !result.passed) return false;
+
+        if (tokenField) {
+            let input = form.elements[tokenField];
+            if (!input) {
+                input = document.createElement('input');
+                input.type = 'hidden';
+                input.name = tokenField;
+                form.appendChild(input);
+            }
+            input.value = result.token || '';
+        }
+
+        return true;
+    }
+
+    /**
+     * Remember a native POST until the success page confirms it was accepted
+     * @param {string} submissionId - The client submission ID added to the retURL
+     */
+    recordPendingSubmission(submissionId) {
+        if (!this.options.rateLimit) return;
+
+        try {
+            sessionStorage.setItem(`${PENDING_SUBMISSION_PREFIX}${submissionId}`, JSON.stringify({
+                formId: this.formId,
+                options: { rateLimit: this.options.rateLimit }
+            }));
+        } catch (error) {
+            console.warn('Could not record submission:', error);
+        }
+    }
+
+    /**
+     * Record a sent submission for rate limiting
+     */
+    recordSubmission() {
+        if (!this.options.rateLimit) return;
+
+        try {
+            const recent = this.getRecentSubmissions();
+            recent.push(Date.now());
+            localStorage.setItem(this.logKey, JSON.stringify(recent));
+        } catch (error) {
+            console.warn('Could not record submission:', error);
+        }
+    }
+
+    /**
+     * Get the submission timestamps still inside the rate limit window
+     * @returns {number[]} - Timestamps, oldest first
+     */
+    getRecentSubmissions() {
+        const windowStart = Date.now() - this.options.rateLimit.windowMinutes * 60 * 1000;
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.logKey)) || [];
+            return stored.filter(timestamp => timestamp > windowStart);
+        } catch (error) {
+            return [];
+        }
+    }
+}
+
+/**
+ * Local stub provider for development and testing.
+ * Passes after a short delay unless `stubResult` is set to 'fail'.
+ */
+SpamGuard.registerChallengeProvider('local-stub', {
+    verify(options) {
+        return new Promise(resolve => {
+            setTimeout(() => {
+                resolve(options.stubResult === 'fail'
+                    ? { passed: false }
+                    : { passed: true, token: `stub-${Date.now()}` });
+            }, 300);
+        });
+    }
+});
@@ -0,0 +1,245 @@
+/**
+ * Submission History
+ * Keeps a list of the requests sent from this browser (subject, department, type,
+ * priority, time and the client submission ID), so students can quote what they filed
+ * when they contact support. Shown in a "My recent requests" panel on index.html and
+ * success.html, where it can be exported as JSON, printed or cleared.
+ *
+ * Everything stays in localStorage; nothing is sent anywhere. A native POST is only listed
+ * once it was accepted: until the success page calls SubmissionHistory.confirmSubmission(),
+ * its entry waits in sessionStorage.
+ */
+
+import { I18n } from './i18n.js';
+
+const HISTORY_STORAGE_KEY = 'beeversity-history';
+const HISTORY_MAX_ENTRIES = 20;
+const PENDING_ENTRY_PREFIX = 'beeversity-pending-history:';
+
+export class SubmissionHistory {
+    /**
+     * @param {HTMLElement|null} container - The panel element (marked with data-submission-history), if shown on this page
+     * @param {string} currentSubmissionId - Submission ID to highlight as "this request"
+     * @param {Object} i18n - The message catalog (see i18n.js)
+     */
+    constructor(container, currentSubmissionId = '', i18n = I18n) {
+        this.container = container;
+        this.i18n = i18n;
+        this.currentSubmissionId = currentSubmissionId;
+    }
+
+    /**
+     * List a native POST once the success page shows Salesforce accepted it
+     * @param {string} submissionId - The client submission ID from the success page URL
+     */
+    static confirmSubmission(submissionId) {
+        if (!submissionId) return;
+
+        const key = `${PENDING_ENTRY_PREFIX}${submissionId}`;
+        let pending = null;
+        try {
+            pending = JSON.parse(sessionStorage.getItem(key));
+            sessionStorage.removeItem(key);
+        } catch (error) {
+            console.warn('Could not read the pending request:', error);
+        }
+        if (!pending) return;
+
+        new SubmissionHistory(null).add(pending);
+    }
+
+    /**
+     * Add a submitted request, newest first
+     * @param {Object} entry - { submissionId, submittedAt, subject, department, type, priority }
+     */
+    add(entry) {
+        try {
+            const entries = this.getEntries().filter(existing => existing.submissionId !== entry.submissionId);
+            entries.unshift(entry);
+            localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(entries.slice(0, HISTORY_MAX_ENTRIES)));
+        } catch (error) {
+            console.warn('Could not save submission history:', error);
+        }
+        this.render();
+    }
+
+    /**
+     * Keep a natively posted request until the success page confirms it
+     * @param {Object} entry - { submissionId, submittedAt, subject, department, type, priority }
+     */
+    addPending(entry) {
+        try {
+            sessionStorage.setItem(`${PENDING_ENTRY_PREFIX}${entry.submissionId}`, JSON.stringify(entry));
+        } catch (error) {
+            console.warn('Could not save submission history:', error);
+        }
+    }
+
+    /**
+     * Get the stored requests
+     * @returns {Object[]} - Entries, newest first
+     */
+    getEntries() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY));
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Forget every stored request
+     */
+    clear() {
+        try {
+            localStorage.removeItem(HISTORY_STORAGE_KEY);
+        } catch (error) {
+            console.warn('Could not clear submission history:', error);
+        }
+        this.render();
+    }
+
+    /**
+     * Render the panel, hiding it while there's nothing to show
+     */
+    render() {
+        if (!this.container) return;
+
+        const entries = this.getEntries();
+        const wasOpen = this.container.open;
+        this.container.innerHTML = '';
+        this.container.hidden = entries.length === 0;
+        if (this.container.hidden) return;
+
+        const summary = document.createElement('summary');
+        summary.textContent = this.i18n.t('history.title', { count: entries.length });
+        this.container.appendChild(summary);
+
+        const list = document.createElement('ol');
+        list.className = 'history-list';
+        entries.forEach(entry => list.appendChild(this.createEntry(entry)));
+
+        const actions = document.createElement('div');
+        actions.className = 'history-actions';
+        actions.append(
+            this.createAction('history.export', () => this.exportJson()),
+            this.createAction('history.print', () => this.print()),
+            this.createAction('history.clear', () => {
+                if (window.confirm(this.i18n.t('history.clearConfirm'))) {
+                    this.clear();
+                }
+            })
+        );
+
+        const note = document.createElement('p');
+        note.className = 'history-note';
+        note.textContent = this.i18n.t('history.note');
+
+        this.container.append(list, note, actions);
+        this.container.open = wasOpen;
+    }
+
+    /**
+     * Create the list item for one request
+     * @param {Object} entry - The stored request
+     * @returns {HTMLElement} - The list item
+     */
+    createEntry(entry) {
+        const item = document.createElement('li');
+        item.className = 'history-entry';
+
+        const title = document.createElement('strong');
+        title.textContent = entry.subject || this.i18n.t('history.noSubject');
+
+        if (entry.submissionId && entry.submissionId === this.currentSubmissionId) {
+            item.classList.add('current');
+            item.setAttribute('aria-current', 'true');
+
+            const badge = document.createElement('span');
+            badge.className = 'history-current';
+            badge.textContent = this.i18n.t('history.current');
+            title.append(' ', badge);
+        }
+
+        const details = document.createElement('dl');
+        [
+            ['history.submittedOn', this.formatDate(entry.submittedAt)],
+            ['history.submissionId', entry.submissionId],
+            ['history.department', entry.department],
+            ['history.type', entry.type],
+            ['history.priority', entry.priority]
+        ].forEach(([labelKey, value]) => {
+            if (!value) return;
+
+            const term = document.createElement('dt');
+            term.textContent = this.i18n.t(labelKey);
+            const description = document.createElement('dd');
+            description.textContent = value;
+            details.append(term, description);
+        });
+
+        item.append(title, details);
+        return item;
+    }
+
+    /**
+     * Create a panel action button
+     * @param {string} labelKey - Message key of the button label
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement} - The button
+     */
+    createAction(labelKey, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'history-action';
+        button.textContent = this.i18n.t(labelKey);
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Format a stored timestamp in the current language
+     * @param {string} value - ISO timestamp
+     * @returns {string} - The formatted date, or '' when it can't be read
+     */
+    formatDate(value) {
+        const date = new Date(value);
+        return isNaN(date) ? '' : this.i18n.formatDate(date, { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    /**
+     * Download the stored requests as a JSON file
+     */
+    exportJson() {
+        const data = {
+            exportedAt: new Date().toISOString(),
+            requests: this.getEntries()
+        };
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `my-support-requests-${data.exportedAt.slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Print only the history panel
+     */
+    print() {
+        const wasOpen = this.container.open;
+        this.container.open = true;
+        document.body.classList.add('printing-history');
+
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('printing-history');
+            this.container.open = wasOpen;
+        }, { once: true });
+        window.print();
+    }
+}
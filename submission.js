@@ -0,0 +1,211 @@
+/**
+ * Case Submission
+ * Fetch-based Web-to-Case submission with a timeout, retry with exponential
+ * backoff, and an IndexedDB outbox for requests made while offline.
+ *
+ * Used when the schema sets `submission.mode` to 'ajax'; the default 'native'
+ * mode keeps the regular form POST.
+ */
+
+const OUTBOX_DB_NAME = 'beeversity-case-form';
+const OUTBOX_STORE = 'outbox';
+
+/**
+ * Error raised when the endpoint rejects the request outright (no point retrying)
+ */
+export class SubmissionError extends Error {
+    /**
+     * @param {string} message - What went wrong
+     * @param {number} status - The HTTP status, when there was a response
+     */
+    constructor(message, status) {
+        super(message);
+        this.name = 'SubmissionError';
+        this.status = status;
+    }
+}
+
+export class CaseSubmitter {
+    /**
+     * @param {Object} options - The schema `submission` configuration
+     */
+    constructor(options) {
+        this.options = options;
+        this.flushing = false;
+    }
+
+    /**
+     * Send the case, or queue it when the browser is offline
+     * @param {string} body - The URL-encoded form payload
+     * @returns {Promise<{queued: boolean}>} - Whether the case was queued instead of sent
+     */
+    async submit(body) {
+        if (!navigator.onLine) {
+            await this.queue(body);
+            return { queued: true };
+        }
+
+        try {
+            await this.sendWithRetry(body);
+            return { queued: false };
+        } catch (error) {
+            // Connection dropped while retrying, so keep the case for later
+            if (!navigator.onLine && !(error instanceof SubmissionError)) {
+                await this.queue(body);
+                return { queued: true };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Send the payload, retrying network errors, timeouts and server errors with backoff
+     * @param {string} body - The URL-encoded form payload
+     */
+    async sendWithRetry(body) {
+        const { retries, retryDelay } = this.options;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                await this.send(body);
+                return;
+            } catch (error) {
+                const canRetry = !(error instanceof SubmissionError) || error.status >= 500 || error.status === 429;
+                if (!canRetry || attempt >= retries) {
+                    throw error;
+                }
+
+                await new Promise(resolve => setTimeout(resolve, retryDelay * 2 ** attempt));
+            }
+        }
+    }
+
+    /**
+     * Send the payload once
+     * @param {string} body - The URL-encoded form payload
+     */
+    async send(body) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.options.timeout);
+
+        try {
+            const response = await fetch(this.options.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8' },
+                body,
+                signal: controller.signal,
+                // Salesforce doesn't send CORS headers, so its response can't be read
+                mode: this.options.opaqueResponse ? 'no-cors' : 'cors'
+            });
+
+            if (!this.options.opaqueResponse && !response.ok) {
+                throw new SubmissionError(`Submission failed with status ${response.status}`, response.status);
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`Submission timed out after ${this.options.timeout} ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Store a payload in the IndexedDB outbox
+     * @param {string} body - The URL-encoded form payload
+     */
+    async queue(body) {
+        const db = await this.openOutbox();
+        try {
+            await this.runTransaction(db, 'readwrite', store => store.add({ body, queuedAt: Date.now() }));
+        } finally {
+            db.close();
+        }
+    }
+
+    /**
+     * Send every queued payload, oldest first, stopping at the first failure
+     * @returns {Promise<number>} - How many queued cases were sent
+     */
+    async flushQueue() {
+        if (this.flushing || !navigator.onLine) return 0;
+        this.flushing = true;
+
+        let sent = 0;
+        let db = null;
+        try {
+            db = await this.openOutbox();
+            const entries = await this.readOutbox(db);
+
+            for (const { key, value } of entries) {
+                await this.sendWithRetry(value.body);
+                await this.runTransaction(db, 'readwrite', store => store.delete(key));
+                sent++;
+            }
+        } catch (error) {
+            console.warn('Could not send queued requests:', error);
+        } finally {
+            // A failed send mustn't leave the database open, or it can't be upgraded later
+            if (db) {
+                db.close();
+            }
+            this.flushing = false;
+        }
+
+        return sent;
+    }
+
+    /**
+     * Open (and create on first use) the outbox database
+     * @returns {Promise<IDBDatabase>} - The open database
+     */
+    openOutbox() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(OUTBOX_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(OUTBOX_STORE, { autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Read every queued request together with its key, in one transaction, so another tab
+     * adding or sending requests meanwhile can't pair a body with the wrong key
+     * @param {IDBDatabase} db - The open database
+     * @returns {Promise<Array<{key: number, value: Object}>>} - The entries, oldest first
+     */
+    readOutbox(db) {
+        return new Promise((resolve, reject) => {
+            const entries = [];
+            const transaction = db.transaction(OUTBOX_STORE, 'readonly');
+            transaction.objectStore(OUTBOX_STORE).openCursor().onsuccess = event => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    entries.push({ key: cursor.key, value: cursor.value });
+                    cursor.continue();
+                }
+            };
+            transaction.oncomplete = () => resolve(entries);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Run a single request against the outbox store
+     * @param {IDBDatabase} db - The open database
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the object store and returns an IDBRequest
+     * @returns {Promise<*>} - The request result
+     */
+    runTransaction(db, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(OUTBOX_STORE, mode);
+            const request = operation(transaction.objectStore(OUTBOX_STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+}
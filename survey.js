@@ -0,0 +1,343 @@
+/**
+ * Feedback Survey
+ * An optional three-question survey on success.html: how easy the form was (1-5), whether
+ * the student found what they needed, and a comment. Each response is linked to the
+ * client submission ID and department from the success page URL and posted as JSON to
+ * the configuration's survey endpoint (see form-config.js):
+ *
+ *   { submissionId, department, ease, foundNeeded, comment, language, config, answeredAt }
+ *
+ * Responses wait in a localStorage outbox until the endpoint accepts them. Sending is
+ * retried with backoff while the page is open, when the browser comes back online and
+ * the next time the success page loads. Responses the endpoint rejects with a 4xx
+ * status are dropped, since sending them again won't help. When localStorage can't be
+ * written, a response is sent once without queuing it, and an outbox that can't be
+ * updated isn't sent again until the next page load, so nothing is posted twice in a loop.
+ *
+ * Only the sandbox configuration has a survey endpoint (the stub server); production
+ * keeps the survey hidden until a real endpoint is set in form-config.js.
+ */
+
+import { FormConfig } from './form-config.js';
+import { I18n } from './i18n.js';
+
+const SURVEY_OUTBOX_KEY = 'beeversity-survey-outbox';
+const SURVEY_ANSWERED_KEY = 'beeversity-survey-answered';
+const SURVEY_MAX_ENTRIES = 20;
+const SURVEY_DEFAULTS = {
+    timeout: 10000,
+    retries: 3,
+    retryDelay: 5000
+};
+
+/**
+ * Error raised when the survey endpoint rejects a response
+ */
+class SurveyError extends Error {
+    /**
+     * @param {string} message - What went wrong
+     * @param {number} status - The HTTP status
+     */
+    constructor(message, status) {
+        super(message);
+        this.name = 'SurveyError';
+        this.status = status;
+    }
+}
+
+export class FeedbackSurvey {
+    /**
+     * @param {HTMLFormElement|null} form - The survey form, if shown on this page
+     * @param {Object|null} options - The configuration's `survey` option: { endpoint, timeout, retries, retryDelay }
+     * @param {{submissionId: string, department: string}} context - The submitted case
+     */
+    constructor(form, options, context) {
+        this.form = form;
+        this.options = { ...SURVEY_DEFAULTS, ...options };
+        this.context = context;
+        this.statusKey = '';
+        this.statusType = '';
+        this.retryAttempt = 0;
+        this.retryTimer = null;
+        this.flushing = false;
+    }
+
+    /**
+     * Send responses left over from earlier visits and show the survey for this case,
+     * unless it was already answered
+     */
+    init() {
+        if (!this.options.endpoint) return;
+
+        window.addEventListener('online', () => this.flush());
+        this.flush();
+
+        const { submissionId } = this.context;
+        if (!this.form || !submissionId || this.getAnswered().includes(submissionId)) return;
+
+        this.form.hidden = false;
+        this.form.addEventListener('submit', event => {
+            event.preventDefault();
+            this.submit();
+        });
+    }
+
+    /**
+     * Read the answers from the form
+     * @returns {{ease: number|null, foundNeeded: string|null, comment: string}} - The answers
+     */
+    getAnswers() {
+        const { ease, foundNeeded, comment } = this.form.elements;
+        return {
+            ease: ease.value ? Number(ease.value) : null,
+            foundNeeded: foundNeeded.value || null,
+            comment: comment.value.replace(/\s+/g, ' ').trim()
+        };
+    }
+
+    /**
+     * Queue the response for this case and try to send it
+     */
+    async submit() {
+        const answers = this.getAnswers();
+        if (answers.ease === null && answers.foundNeeded === null && !answers.comment) {
+            this.showStatus('survey.empty', 'error');
+            return;
+        }
+
+        const entry = {
+            ...this.context,
+            ...answers,
+            language: I18n.language,
+            config: FormConfig.name,
+            answeredAt: new Date().toISOString()
+        };
+        const fields = this.form.querySelector('.survey-fields');
+        fields.disabled = true;
+        this.showStatus('survey.sending');
+
+        if (!this.addToOutbox(entry)) {
+            await this.sendWithoutOutbox(entry);
+            return;
+        }
+        this.markAnswered(this.context.submissionId);
+        await this.flush();
+    }
+
+    /**
+     * Send a response that couldn't be queued, once
+     * @param {Object} entry - The response
+     */
+    async sendWithoutOutbox(entry) {
+        const fields = this.form.querySelector('.survey-fields');
+        try {
+            await this.send(entry);
+            fields.hidden = true;
+            this.showStatus('survey.thanks', 'success');
+        } catch (error) {
+            console.warn('Could not send survey response:', error);
+            fields.disabled = false;
+            this.showStatus('survey.failed', 'error');
+        }
+    }
+
+    /**
+     * Send every queued response, oldest first, stopping at the first one that can't be
+     * delivered right now and scheduling another try
+     * @returns {Promise<number>} - How many responses were sent
+     */
+    async flush() {
+        if (this.flushing || !navigator.onLine) return 0;
+        this.flushing = true;
+
+        let sent = 0;
+        let failed = false;
+        try {
+            // Re-read the outbox each time, so responses queued meanwhile are sent too
+            let entry;
+            while ((entry = this.getOutbox()[0])) {
+                try {
+                    await this.send(entry);
+                    sent++;
+                } catch (error) {
+                    if (!(error instanceof SurveyError) || error.status >= 500 || error.status === 429) {
+                        console.warn('Could not send survey response, will try again:', error);
+                        failed = true;
+                        break;
+                    }
+                    console.warn('Survey response rejected, dropping it:', error);
+                }
+                // The same response would be sent again and again
+                if (!this.removeFromOutbox(entry.submissionId)) break;
+            }
+        } finally {
+            this.flushing = false;
+        }
+
+        if (failed) {
+            this.scheduleRetry();
+        } else {
+            this.retryAttempt = 0;
+        }
+        this.updateStatus();
+        return sent;
+    }
+
+    /**
+     * Try the outbox again after a backoff delay, up to the configured number of retries;
+     * after that it waits for the browser to come online or the next page load
+     */
+    scheduleRetry() {
+        const { retries, retryDelay } = this.options;
+        if (this.retryTimer || this.retryAttempt >= retries) return;
+
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.flush();
+        }, retryDelay * 2 ** this.retryAttempt);
+        this.retryAttempt++;
+    }
+
+    /**
+     * Post one response to the survey endpoint
+     * @param {Object} entry - The queued response
+     */
+    async send(entry) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.options.timeout);
+
+        try {
+            const response = await fetch(this.options.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(entry),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new SurveyError(`Survey response failed with status ${response.status}`, response.status);
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`Survey response timed out after ${this.options.timeout} ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Show the outcome for this case's response once it has been submitted
+     */
+    updateStatus() {
+        const { submissionId } = this.context;
+        if (!this.form || !this.form.querySelector('.survey-fields').disabled) return;
+
+        const isPending = this.getOutbox().some(entry => entry.submissionId === submissionId);
+        if (isPending) {
+            this.showStatus('survey.saved');
+        } else {
+            this.form.querySelector('.survey-fields').hidden = true;
+            this.showStatus('survey.thanks', 'success');
+        }
+    }
+
+    /**
+     * Show a status message below the survey
+     * @param {string} key - Message key
+     * @param {string} type - '', 'error' or 'success'
+     */
+    showStatus(key, type = '') {
+        this.statusKey = key;
+        this.statusType = type;
+        this.renderStatus();
+    }
+
+    /**
+     * Render the current status message in the current language
+     */
+    renderStatus() {
+        const status = this.form && this.form.querySelector('.survey-status');
+        if (!status) return;
+
+        status.textContent = this.statusKey ? I18n.t(this.statusKey) : '';
+        status.className = `survey-status ${this.statusType || ''}`.trim();
+    }
+
+    /**
+     * Get the responses waiting to be sent
+     * @returns {Object[]} - Responses, oldest first
+     */
+    getOutbox() {
+        return this.readList(SURVEY_OUTBOX_KEY);
+    }
+
+    /**
+     * Queue a response, replacing an earlier one for the same case
+     * @param {Object} entry - The response
+     * @returns {boolean} - Whether it was queued
+     */
+    addToOutbox(entry) {
+        const outbox = this.getOutbox().filter(existing => existing.submissionId !== entry.submissionId);
+        outbox.push(entry);
+        return this.writeList(SURVEY_OUTBOX_KEY, outbox);
+    }
+
+    /**
+     * Remove a sent (or rejected) response from the outbox
+     * @param {string} submissionId - The case the response belongs to
+     * @returns {boolean} - Whether the outbox was updated
+     */
+    removeFromOutbox(submissionId) {
+        return this.writeList(SURVEY_OUTBOX_KEY, this.getOutbox().filter(entry => entry.submissionId !== submissionId));
+    }
+
+    /**
+     * Get the submission IDs whose survey was answered in this browser
+     * @returns {string[]} - Submission IDs, oldest first
+     */
+    getAnswered() {
+        return this.readList(SURVEY_ANSWERED_KEY);
+    }
+
+    /**
+     * Remember that a case's survey was answered, so it isn't shown again on reload
+     * @param {string} submissionId - The case
+     */
+    markAnswered(submissionId) {
+        const answered = this.getAnswered().filter(id => id !== submissionId);
+        answered.push(submissionId);
+        this.writeList(SURVEY_ANSWERED_KEY, answered);
+    }
+
+    /**
+     * Read a list from localStorage
+     * @param {string} key - Storage key
+     * @returns {Array} - The stored list, or an empty one
+     */
+    readList(key) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(key));
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Save a list to localStorage, keeping the newest entries
+     * @param {string} key - Storage key
+     * @param {Array} list - The list, oldest first
+     * @returns {boolean} - Whether it was saved
+     */
+    writeList(key, list) {
+        try {
+            localStorage.setItem(key, JSON.stringify(list.slice(-SURVEY_MAX_ENTRIES)));
+            return true;
+        } catch (error) {
+            console.warn('Could not save survey data:', error);
+            return false;
+        }
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * Accessibility: axe-core checks of every step, the review, the error states and the
+ * success page (`npm run test:a11y`)
+ *
+ * jsdom doesn't lay out or paint, so color-contrast can't be checked here.
+ */
+
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { afterEach, test } from 'node:test';
+import { fillCase, openPage, waitFor } from './page.js';
+
+const AXE_SOURCE = await readFile(createRequire(import.meta.url).resolve('axe-core/axe.min.js'), 'utf8');
+const AXE_OPTIONS = {
+    rules: { 'color-contrast': { enabled: false } }
+};
+
+let page;
+
+afterEach(() => page.close());
+
+/**
+ * Run axe on the page and fail with a readable list of violations
+ * @param {Object} page - From openPage()
+ * @param {string} state - What the page is showing, for the failure message
+ */
+async function assertAccessible(page, state) {
+    if (!page.window.axe) {
+        page.window.eval(AXE_SOURCE);
+    }
+    const { violations } = await page.window.axe.run(page.document, AXE_OPTIONS);
+    const found = Array.from(violations, violation => `${violation.id}: ${violation.help} (${violation.nodes.map(node => node.target.join(' ')).join(', ')})`);
+    assert.deepEqual(found, [], `${state} has accessibility violations`);
+}
+
+/**
+ * The step being shown
+ * @param {Object} page - From openPage()
+ * @returns {HTMLElement}
+ */
+function activeStep(page) {
+    return page.document.querySelector('.form-step.active');
+}
+
+/**
+ * Click the visible Next (or Review) button and wait for the step to change
+ * @param {Object} page - From openPage()
+ */
+async function nextStep(page) {
+    const step = activeStep(page);
+    step.querySelector('[data-nav="next"]:not([hidden]), [data-nav="review"]:not([hidden])').click();
+    await waitFor(() => activeStep(page) !== step && !activeStep(page).style.animation);
+}
+
+test('every step and the review pass axe', async () => {
+    page = await openPage('index.html');
+    fillCase(page);
+
+    const reviewStep = page.document.querySelector('#reviewSections').closest('.form-step');
+    let stepNumber = 1;
+    while (activeStep(page) !== reviewStep) {
+        await assertAccessible(page, `Step ${stepNumber}`);
+        await nextStep(page);
+        stepNumber++;
+    }
+    await assertAccessible(page, 'The review');
+});
+
+test('the validation errors and their summary pass axe', async () => {
+    page = await openPage('index.html');
+
+    activeStep(page).querySelector('[data-nav="next"]').click();
+    assert.ok(page.document.querySelector('[aria-invalid="true"]'), 'the empty step shows errors');
+
+    await assertAccessible(page, 'The step with errors');
+});
+
+test('a submission error passes axe', async () => {
+    page = await openPage('index.html');
+    fillCase(page);
+    const reviewStep = page.document.querySelector('#reviewSections').closest('.form-step');
+    while (activeStep(page) !== reviewStep) {
+        await nextStep(page);
+    }
+
+    // Sent too soon after the page loaded, so spam protection turns it down
+    page.$('submitBtn').click();
+    assert.ok(page.document.querySelector('.error-message'), 'the error is shown');
+
+    await assertAccessible(page, 'The submission error');
+});
+
+test('the success page passes axe', async () => {
+    page = await openPage('success.html', { query: '?submissionId=WEB-20250101-K3F9QZ&subject=Wi-Fi' });
+
+    await assertAccessible(page, 'The success page');
+});
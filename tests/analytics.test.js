@@ -0,0 +1,34 @@
+/**
+ * Analytics (analytics.js): funnel events are only kept in localStorage where the
+ * deployment configuration asks for it (the sandbox), and only the latest of them
+ */
+
+import assert from 'node:assert/strict';
+import { afterEach, test } from 'node:test';
+import { openPage } from './page.js';
+
+const ANALYTICS_LOG = 'beeversity-analytics:student-support-case';
+
+let page;
+
+afterEach(() => page.close());
+
+test('production doesn\'t keep events in localStorage', async () => {
+    page = await openPage('index.html', { query: '?config=production' });
+
+    assert.equal(page.window.localStorage.getItem(ANALYTICS_LOG), null);
+});
+
+test('the sandbox keeps the latest events in localStorage', async () => {
+    const earlier = Array.from({ length: 200 }, (_, index) => ({ name: 'step_view', index }));
+    page = await openPage('index.html', {
+        query: '?config=sandbox',
+        localStorage: { [ANALYTICS_LOG]: JSON.stringify(earlier) }
+    });
+
+    const events = JSON.parse(page.window.localStorage.getItem(ANALYTICS_LOG));
+    assert.equal(events.length, 200);
+    assert.equal(events[0].index, 1, 'the oldest event made room');
+    assert.equal(events[199].name, 'step_view');
+    assert.equal(events[199].step, 1);
+});
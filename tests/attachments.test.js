@@ -0,0 +1,181 @@
+/**
+ * Attachments: the client-side checks and the upload contract in attachments.js, against
+ * the stub server, which the sandbox configuration uploads to
+ */
+
+import assert from 'node:assert/strict';
+import { after, afterEach, before, test } from 'node:test';
+import { advanceClock, fillCase, goToReview, openPage, waitFor } from './page.js';
+import { startStubServer } from './stub-server.js';
+
+let stub;
+let page;
+
+before(async () => {
+    stub = await startStubServer();
+});
+
+afterEach(() => {
+    page.close();
+    stub.reset();
+});
+
+after(() => stub.close());
+
+/**
+ * Open the form and make an attachment field that uploads to the stub
+ * @param {Object} options - Overrides for the field options
+ * @returns {Promise<Object>} - The field
+ */
+async function openField(options = {}) {
+    page = await openPage('index.html', { stub });
+    const { AttachmentField } = await page.import('attachments.js');
+    return new AttachmentField({
+        fieldId: 'attachments',
+        uploadUrl: 'http://localhost:8787/upload',
+        accept: ['application/pdf', '.png'],
+        maxFiles: 2,
+        maxFileSize: 1024,
+        ...options
+    }, 'student-support-case');
+}
+
+/**
+ * Open the form with the sandbox configuration, whose uploads go to the stub
+ * @returns {Promise<Object>} - The page, plus `posted`: every native form POST
+ */
+async function openSandboxForm() {
+    const posted = [];
+    page = await openPage('index.html', {
+        query: '?config=sandbox',
+        stub,
+        before(window) {
+            window.HTMLFormElement.prototype.submit = function () {
+                posted.push(Object.fromEntries(new window.FormData(this)));
+            };
+        }
+    });
+    page.posted = posted;
+    return page;
+}
+
+/**
+ * Choose files in the attachment field
+ * @param {File[]} files - The files
+ */
+function chooseFiles(files) {
+    const input = page.$('attachments');
+    Object.defineProperty(input, 'files', { value: files, configurable: true });
+    input.dispatchEvent(new page.window.Event('change'));
+}
+
+/**
+ * Make a file
+ * @param {string} name - File name
+ * @param {string} type - MIME type
+ * @param {number} size - Size in bytes
+ * @returns {File}
+ */
+function file(name, type = 'application/pdf', size = 16) {
+    return new page.window.File(['x'.repeat(size)], name, { type });
+}
+
+test('files are checked for type, size, duplicates and count', async () => {
+    const field = await openField();
+    field.addFiles([
+        file('receipt.pdf'),
+        file('notes.txt', 'text/plain'),
+        file('huge.pdf', 'application/pdf', 2048),
+        file('photo.png', ''),
+        file('receipt.pdf'),
+        file('third.pdf')
+    ]);
+
+    assert.deepEqual(Array.from(field.files, chosen => chosen.name), ['receipt.pdf', 'photo.png']);
+    assert.equal(field.errorElement.textContent, [
+        'notes.txt is not a supported file type',
+        'huge.pdf is larger than 1 KB',
+        'receipt.pdf is already attached',
+        'You can attach up to 2 files'
+    ].join('. '));
+});
+
+test('the upload posts the form ID and files and returns their links', async () => {
+    const field = await openField();
+    field.addFiles([file('receipt.pdf')]);
+
+    const links = await field.upload();
+
+    const [upload] = stub.requests;
+    assert.equal(upload.path, '/upload');
+    assert.equal(upload.fields.formId, 'student-support-case');
+    assert.deepEqual(upload.files.map(sent => [sent.field, sent.name, sent.type]), [['files', 'receipt.pdf', 'application/pdf']]);
+    assert.equal(links.length, 1);
+    assert.equal(links[0].url, `${stub.url}/files/receipt.pdf`);
+    assert.equal(field.formatLinks(links), `\n\nAttachments:\n- receipt.pdf: ${stub.url}/files/receipt.pdf`);
+});
+
+test('an error status is a failed upload', async () => {
+    const field = await openField();
+    field.addFiles([file('receipt.pdf')]);
+    stub.respondWith('/upload', 500);
+
+    await assert.rejects(field.upload(), /Upload failed with status 500/);
+});
+
+test('an upload response without files is a failed upload', async () => {
+    const field = await openField();
+    field.addFiles([file('receipt.pdf')]);
+    stub.respondWith('/upload', { status: 200, body: { ok: true } });
+
+    await assert.rejects(field.upload(), /did not include any files/);
+});
+
+test('an upload that stalls times out', async () => {
+    const field = await openField({ timeout: 100 });
+    field.addFiles([file('slow.pdf')]);
+    stub.respondWith('/upload', { status: 200, delay: 5000 });
+
+    await assert.rejects(field.upload(), /Upload timed out after 100 ms/);
+});
+
+test('the attachment field is only offered when the configuration has an upload endpoint', async () => {
+    page = await openPage('index.html', { query: '?config=production' });
+    assert.equal(page.$('attachments').closest('.form-group').hidden, true);
+    page.close();
+
+    await openSandboxForm();
+    assert.equal(page.$('attachments').closest('.form-group').hidden, false);
+});
+
+test('attachments are uploaded before the case is posted and linked in its description', async t => {
+    await openSandboxForm();
+    fillCase(page);
+    chooseFiles([file('screenshot.pdf')]);
+    await goToReview(page);
+
+    advanceClock(t, page, 60000);
+    page.$('submitBtn').click();
+    await waitFor(() => page.posted.length === 1);
+
+    const [upload] = stub.requests;
+    assert.equal(upload.path, '/upload');
+    assert.equal(upload.files[0].name, 'screenshot.pdf');
+    assert.match(page.posted[0].description, /Attachments:\n- screenshot\.pdf: http:\/\/localhost:\d+\/files\/screenshot\.pdf$/);
+});
+
+test('a failed upload stops the submission', async t => {
+    await openSandboxForm();
+    stub.respondWith('/upload', 500);
+    fillCase(page);
+    chooseFiles([file('screenshot.pdf')]);
+    await goToReview(page);
+
+    const failed = new Promise(resolve => page.$('caseForm').addEventListener('failed', event => resolve(event.detail)));
+    advanceClock(t, page, 60000);
+    page.$('submitBtn').click();
+
+    assert.equal((await failed).reason, 'upload');
+    assert.equal(page.posted.length, 0);
+    assert.equal(page.$('submitBtn').disabled, false);
+});
@@ -0,0 +1,110 @@
+/**
+ * Duplicate detection (duplicate-check.js): a natively posted case is only remembered
+ * once the success page confirms Salesforce accepted it
+ */
+
+import assert from 'node:assert/strict';
+import { afterEach, test } from 'node:test';
+import { advanceClock, copyStorage, fillCase, goToReview, openPage, waitFor } from './page.js';
+
+const RECENT_CASES = 'beeversity-recent-cases:student-support-case';
+
+let pages = [];
+
+afterEach(() => {
+    pages.forEach(page => page.close());
+    pages = [];
+});
+
+/**
+ * Open a page and close it after the test
+ * @param {string} name - File name
+ * @param {Object} options - For openPage()
+ * @returns {Promise<Object>} - The page
+ */
+async function open(name, options = {}) {
+    const page = await openPage(name, { query: '?config=production', ...options });
+    pages.push(page);
+    return page;
+}
+
+/**
+ * Fill in the case, go to the review and post it natively
+ * @param {TestContext} t - The running test
+ * @param {Object} storage - `localStorage` to open the form with
+ * @returns {Promise<Object>} - The page, plus `posted`: the form values sent
+ */
+async function postCase(t, storage = {}) {
+    let posted = null;
+    const page = await open('index.html', {
+        localStorage: storage,
+        before(window) {
+            // Salesforce would take over from here
+            window.addEventListener('submit', event => {
+                posted = Object.fromEntries(new window.FormData(event.target));
+                event.preventDefault();
+            });
+        }
+    });
+    fillCase(page);
+    await goToReview(page);
+
+    advanceClock(t, page, 60000);
+    page.$('submitBtn').click();
+    await waitFor(() => posted);
+    t.mock.restoreAll();
+
+    page.posted = posted;
+    return page;
+}
+
+test('a posted case is not remembered until the success page opens', async t => {
+    const page = await postCase(t);
+    assert.equal(page.window.localStorage.getItem(RECENT_CASES), null);
+
+    // The POST never arrived, so sending the case again isn't flagged as a duplicate
+    const retry = await open('index.html', {
+        localStorage: copyStorage(page.window.localStorage),
+        sessionStorage: copyStorage(page.window.sessionStorage)
+    });
+    fillCase(retry);
+    await goToReview(retry);
+    assert.equal(retry.document.querySelector('.duplicate-warning'), null);
+});
+
+test('the success page remembers the case, so sending it again is flagged', async t => {
+    const page = await postCase(t);
+    const submissionId = new URL(page.posted.retURL).searchParams.get('submissionId');
+
+    const success = await open('success.html', {
+        query: `?submissionId=${submissionId}`,
+        localStorage: copyStorage(page.window.localStorage),
+        sessionStorage: copyStorage(page.window.sessionStorage)
+    });
+    assert.equal(JSON.parse(success.window.localStorage.getItem(RECENT_CASES)).length, 1);
+
+    const again = await open('index.html', { localStorage: copyStorage(success.window.localStorage) });
+    fillCase(again);
+    await goToReview(again);
+    assert.ok(again.document.querySelector('.duplicate-warning'));
+});
+
+test('a subject with a word added or misspelt still counts as the same request', async () => {
+    const page = await open('index.html');
+    const { DuplicateDetector } = await page.import('duplicate-check.js');
+    const detector = new DuplicateDetector({ windowHours: 24, similarity: 0.6 }, 'student-support-case');
+    const sent = {
+        email: 'ana.putri@student.beeversity.ac.id',
+        reason: 'Network Connectivity',
+        subject: 'Wi-Fi keeps dropping in the library'
+    };
+    detector.record(sent);
+
+    assert.ok(detector.findMatch({ ...sent, subject: 'Wi-Fi keeps droping in the library' }));
+    assert.ok(detector.findMatch({ ...sent, subject: 'The library Wi-Fi keeps dropping again' }));
+    assert.ok(detector.findMatch({ ...sent, email: ' Ana.Putri@student.beeversity.ac.id ' }));
+
+    assert.equal(detector.findMatch({ ...sent, subject: 'Cannot print in the library' }), null);
+    assert.equal(detector.findMatch({ ...sent, reason: 'Hardware Issue' }), null);
+    assert.doesNotMatch(page.window.localStorage.getItem(RECENT_CASES), /library/, 'only hashes are stored');
+});
@@ -0,0 +1,179 @@
+/**
+ * Embedding (beeversity-case-form.js): the <beeversity-case-form> element on a host page,
+ * its methods and the events it dispatches
+ */
+
+import assert from 'node:assert/strict';
+import { afterEach, test } from 'node:test';
+import { advanceClock, openPage } from './page.js';
+
+const CASE_DATA = {
+    name: 'Ana Putri',
+    email: 'ana.putri@student.beeversity.ac.id',
+    // IT Support Request
+    recordType: '012NS0000086ez3',
+    type: 'Problem',
+    reason: 'Network Connectivity',
+    priority: 'Medium',
+    subject: 'Wi-Fi keeps dropping in the library',
+    description: 'Since Monday the Wi-Fi in the library disconnects every few minutes on my laptop.'
+};
+
+let page;
+
+afterEach(() => page.close());
+
+/**
+ * Open the host page and wait for the embedded form
+ * @param {Object} options - For openPage()
+ * @returns {Promise<HTMLElement>} - The <beeversity-case-form> element
+ */
+async function openHost(options = {}) {
+    page = await openPage('tests/embed-host.html', {
+        ...options,
+        before(window) {
+            // jsdom can't navigate, so the native POST ends at the submit event
+            window.HTMLFormElement.prototype.requestSubmit = function () {
+                this.dispatchEvent(new window.Event('submit', { cancelable: true }));
+            };
+        }
+    });
+    const element = page.document.querySelector('beeversity-case-form');
+    await element.ready;
+    return element;
+}
+
+/**
+ * Collect the events the element dispatches
+ * @param {HTMLElement} element - The <beeversity-case-form> element
+ * @param {string[]} types - Event names
+ * @returns {Array<{type: string, detail: Object}>}
+ */
+function recordEvents(element, types) {
+    const events = [];
+    types.forEach(type => element.addEventListener(type, event => events.push({ type, detail: event.detail })));
+    return events;
+}
+
+test('the form starts in the element\'s shadow root once ready', async () => {
+    const element = await openHost();
+
+    assert.ok(element.shadowRoot.getElementById('caseForm'));
+    assert.equal(page.$('caseForm'), null, 'nothing is added to the host page');
+    assert.equal(element.shadowRoot.querySelector('.form-step.active').id, 'step1');
+    assert.equal(element.shadowRoot.querySelector('main'), null, 'the host page keeps the main landmark');
+    assert.deepEqual(page.errors, []);
+});
+
+test('the knowledge base index loads from next to the form, not the host page', async () => {
+    const element = await openHost();
+    const suggester = element.form.articleSuggester;
+    await suggester.loading;
+
+    assert.doesNotMatch(suggester.options.indexUrl, /\/tests\/articles\.json$/);
+    assert.ok(suggester.articles.length > 0);
+});
+
+test('setData fills in fields and getData reads them back', async () => {
+    const element = await openHost();
+
+    element.setData({ name: 'Ana Putri', email: 'ana.putri@student.beeversity.ac.id' });
+
+    assert.equal(element.shadowRoot.getElementById('name').value, 'Ana Putri');
+    const data = element.getData();
+    assert.equal(data.name, 'Ana Putri');
+    assert.equal(data.email, 'ana.putri@student.beeversity.ac.id');
+    assert.equal(data.subject, '');
+});
+
+test('validate reports the first step with errors through validationerror', async () => {
+    const element = await openHost();
+    const events = recordEvents(element, ['validationerror']);
+
+    assert.equal(element.validate(), false);
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].detail.stepId, 'contact');
+    assert.ok(events[0].detail.errors.some(error => error.field === 'name' && error.rule === 'required'));
+
+    element.setData(CASE_DATA);
+    assert.equal(element.validate(), true);
+});
+
+test('goTo only moves past complete steps and dispatches stepchange', async () => {
+    const element = await openHost();
+    const events = recordEvents(element, ['stepchange']);
+
+    assert.equal(element.goTo('review'), false);
+    assert.equal(events.length, 0);
+
+    element.setData(CASE_DATA);
+    assert.equal(element.goTo('review'), true);
+
+    assert.deepEqual(events.map(event => [event.detail.stepId, event.detail.previousStep]), [['review', 1]]);
+    assert.equal(element.shadowRoot.querySelector('.form-step.active').id, 'step3');
+});
+
+test('submit sends the case and dispatches submitted, or failed when it is turned down', async t => {
+    const element = await openHost();
+    const events = recordEvents(element, ['submitted', 'failed']);
+    element.setData(CASE_DATA);
+
+    // Too soon after the page loaded, so spam protection turns it down
+    assert.equal(element.submit(), true);
+    assert.deepEqual(events.map(event => [event.type, event.detail.reason]), [['failed', 'too-fast']]);
+
+    advanceClock(t, page, 60000);
+    assert.equal(element.submit(), true);
+    assert.equal(events.length, 2);
+    assert.equal(events[1].type, 'submitted');
+    assert.equal(events[1].detail.mode, 'native');
+    assert.equal(events[1].detail.subject, CASE_DATA.subject);
+    assert.equal(element.submit(), false, 'a case is only sent once');
+});
+
+test('each form keeps its own copy and language and leaves the page\'s language alone', async () => {
+    const first = await openHost();
+    const second = page.document.createElement('beeversity-case-form');
+    second.setAttribute('config', 'partner-campus');
+    second.setAttribute('language', 'id');
+    page.document.querySelector('main').append(second);
+    await second.ready;
+    const heading = element => element.shadowRoot.querySelector('h1').textContent;
+
+    assert.equal(heading(first), '🎓 Student Support Request');
+    assert.equal(heading(second), '🎓 Layanan Kampus Mitra');
+
+    second.setAttribute('language', 'en');
+    first.setAttribute('language', 'id');
+
+    assert.equal(heading(first), '🎓 Permintaan Bantuan Mahasiswa');
+    assert.equal(first.lang, 'id');
+    assert.equal(heading(second), '🎓 Partner Campus Support');
+    assert.equal(second.lang, 'en');
+    assert.equal(page.window.localStorage.getItem('beeversity-language'), null, 'the page\'s preference is not changed');
+    assert.notEqual(page.document.documentElement.lang, 'id');
+});
+
+test('the methods throw until the element is ready', async () => {
+    page = await openPage('tests/embed-host.html');
+    const element = page.document.createElement('beeversity-case-form');
+
+    assert.throws(() => element.getData(), /isn't ready yet/);
+});
+
+test('the host page\'s query string only fills in the form when the element opts in', async () => {
+    const element = await openHost({ query: '?name=Injected&lock=1' });
+    const name = element.shadowRoot.getElementById('name');
+    assert.equal(name.value, '');
+    assert.equal(name.readOnly, false);
+    assert.equal(page.window.location.search, '?name=Injected&lock=1');
+
+    const optedIn = page.document.createElement('beeversity-case-form');
+    optedIn.setAttribute('config', 'production');
+    optedIn.setAttribute('prefill', '');
+    page.document.querySelector('main').append(optedIn);
+    await optedIn.ready;
+    assert.equal(optedIn.shadowRoot.getElementById('name').value, 'Injected');
+    assert.equal(optedIn.shadowRoot.getElementById('name').readOnly, true);
+});
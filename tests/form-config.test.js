@@ -0,0 +1,59 @@
+/**
+ * Deployment configurations (form-config.js): the selected configuration points the form
+ * at its org, and one without an org ID doesn't submit at all
+ */
+
+import assert from 'node:assert/strict';
+import { afterEach, test } from 'node:test';
+import { advanceClock, fillCase, goToReview, openPage } from './page.js';
+
+let page;
+
+afterEach(() => page.close());
+
+/**
+ * Open the form and collect the native POSTs it makes
+ * @param {Object} options - For openPage()
+ * @returns {Promise<Object>} - The page, plus `posted`: every native form POST
+ */
+async function openForm(options) {
+    const posted = [];
+    page = await openPage('index.html', {
+        ...options,
+        before(window) {
+            // Salesforce would take over from here
+            window.addEventListener('submit', event => {
+                if (!event.defaultPrevented) {
+                    posted.push(Object.fromEntries(new window.FormData(event.target)));
+                    event.preventDefault();
+                }
+            });
+        }
+    });
+    page.posted = posted;
+    return page;
+}
+
+test('the form posts to the selected configuration\'s org', async () => {
+    await openForm({ query: '?config=production' });
+
+    assert.equal(page.$('caseForm').elements.orgid.value, '00DNS00000QWoKT');
+    assert.match(page.$('caseForm').action, /^https:\/\/webto\.salesforce\.com\/.*orgId=00DNS00000QWoKT/);
+});
+
+test('a configuration without an org ID turns submitting off', async t => {
+    const logged = [];
+    t.mock.method(console, 'error', (...args) => logged.push(args.join(' ')));
+    await openForm({ query: '?config=sandbox', orgId: '' });
+    assert.ok(logged.some(message => message.includes('"sandbox" configuration has no orgId')));
+
+    fillCase(page);
+    await goToReview(page);
+    const failed = new Promise(resolve => page.$('caseForm').addEventListener('failed', event => resolve(event.detail)));
+    advanceClock(t, page, 60000);
+    page.$('submitBtn').click();
+
+    assert.equal((await failed).reason, 'not-configured');
+    assert.equal(page.posted.length, 0);
+    assert.match(page.document.querySelector('.form-step.active .error-message').textContent, /isn't set up to send requests/);
+});
@@ -0,0 +1,30 @@
+/**
+ * Module loader hooks for the tests (registered by page.js)
+ * Every page opened in a test gets fresh copies of the form modules, so state such as the
+ * current language or configuration never leaks from one page into the next. The entry
+ * module is imported with a `?page=<n>` query and the hook hands that query down to every
+ * module of this repository it imports.
+ */
+
+const REPO_URL = new URL('../', import.meta.url).href;
+
+/**
+ * Pass the importing module's page query on to modules of this repository
+ * @param {string} specifier - What is imported
+ * @param {Object} context - Node's resolve context, with the importing module's URL
+ * @param {Function} nextResolve - The default resolver
+ * @returns {Promise<Object>} - The resolved module
+ */
+export async function resolve(specifier, context, nextResolve) {
+    const result = await nextResolve(specifier, context);
+    if (!context.parentURL || !result.url.startsWith(REPO_URL) || result.url.includes('/node_modules/')) {
+        return result;
+    }
+
+    const page = new URL(context.parentURL).searchParams.get('page');
+    if (!page) return result;
+
+    const url = new URL(result.url);
+    url.searchParams.set('page', page);
+    return { ...result, url: url.href };
+}
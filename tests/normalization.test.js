@@ -0,0 +1,145 @@
+/**
+ * Normalization: the review previews the cleaned-up values without touching what was
+ * typed, and the posted description (with its added blocks) fits its maxlength without
+ * the student's text being cut
+ */
+
+import assert from 'node:assert/strict';
+import { after, afterEach, before, test } from 'node:test';
+import { advanceClock, fillCase, goToReview, openPage, waitFor } from './page.js';
+import { startStubServer } from './stub-server.js';
+
+const DESCRIPTION_MAX_LENGTH = 32000;
+
+let stub;
+let page;
+
+before(async () => {
+    stub = await startStubServer();
+});
+
+afterEach(() => {
+    page.close();
+    stub.reset();
+});
+
+after(() => stub.close());
+
+/**
+ * Open the form and collect the native POSTs it makes
+ * @param {string} query - e.g. '?config=sandbox'
+ * @returns {Promise<Object>} - The page, plus `posted`: every native form POST
+ */
+async function openForm(query) {
+    const posted = [];
+    page = await openPage('index.html', {
+        query,
+        stub,
+        before(window) {
+            window.HTMLFormElement.prototype.submit = function () {
+                posted.push(Object.fromEntries(new window.FormData(this)));
+            };
+            // Salesforce would take over from here
+            window.addEventListener('submit', event => {
+                if (!event.defaultPrevented) {
+                    posted.push(Object.fromEntries(new window.FormData(event.target)));
+                    event.preventDefault();
+                }
+            });
+        }
+    });
+    page.posted = posted;
+    return page;
+}
+
+/**
+ * Submit the case once the form's minimum time-to-submit has passed
+ * @param {TestContext} t - The running test
+ */
+async function submitCase(t) {
+    advanceClock(t, page, 60000);
+    page.$('submitBtn').click();
+    await waitFor(() => page.posted.length === 1);
+}
+
+test('the review shows the cleaned-up values and a language switch keeps what was typed', async t => {
+    await openForm('?config=production');
+    fillCase(page, { subject: '  Wi-Fi   keeps dropping  ', name: ' Ana   Putri ' });
+    await goToReview(page);
+
+    assert.equal(page.$('review-subject').textContent, 'Wi-Fi keeps dropping');
+    assert.equal(page.$('subject').value, '  Wi-Fi   keeps dropping  ');
+
+    const { I18n } = await page.import('i18n.js');
+    I18n.setLanguage('id');
+    assert.equal(page.$('subject').value, '  Wi-Fi   keeps dropping  ');
+    assert.equal(page.$('name').value, ' Ana   Putri ');
+
+    await submitCase(t);
+    assert.equal(page.posted[0].subject, 'Wi-Fi keeps dropping');
+});
+
+/**
+ * Fill in an urgent case with a justification and a PDF attached
+ * @param {string} description - The description
+ */
+function fillUrgentCase(description) {
+    fillCase(page, {
+        description,
+        priority: 'Urgent',
+        priorityJustification: 'My exam starts tomorrow at 8:00'
+    });
+    const input = page.$('attachments');
+    Object.defineProperty(input, 'files', {
+        value: [new page.window.File(['%PDF-1.4 test'], 'screenshot.pdf', { type: 'application/pdf' })]
+    });
+    input.dispatchEvent(new page.window.Event('change', { bubbles: true }));
+}
+
+test('the details and attachment links count towards the description\'s maxlength', async () => {
+    await openForm('?config=sandbox');
+    fillUrgentCase('x'.repeat(DESCRIPTION_MAX_LENGTH));
+
+    assert.match(page.$('description-counter').textContent, /^32,\d{3} \/ 32,000 characters, including \d+ for the details/);
+    page.$('nextStep1').click();
+    await waitFor(() => page.$('step2').classList.contains('active') && !page.$('step2').style.animation);
+    page.$('nextStep2').click();
+
+    assert.ok(page.$('step2').classList.contains('active'));
+    assert.match(page.$('description').parentElement.textContent, /Please shorten your description/);
+    assert.equal(page.$('description').value.length, DESCRIPTION_MAX_LENGTH, 'nothing the student typed is cut');
+});
+
+test('the posted description keeps the student\'s text in full, with the details and attachment links added', async t => {
+    await openForm('?config=sandbox');
+    const typed = 'x'.repeat(DESCRIPTION_MAX_LENGTH - 1000);
+    fillUrgentCase(typed);
+    await goToReview(page);
+
+    await submitCase(t);
+
+    const { description } = page.posted[0];
+    assert.ok(description.length <= DESCRIPTION_MAX_LENGTH);
+    assert.ok(description.startsWith(`${typed}\n\n`));
+    assert.match(description, /^x+\n\nAdditional details:\n- Priority Justification: My exam starts tomorrow at 8:00\n\nAttachments:\n- screenshot\.pdf: http:\/\/localhost:\d+\/files\/screenshot\.pdf$/);
+});
+
+test('a submission whose attachment links don\'t fit is turned down with the text left as typed', async t => {
+    await openForm('?config=sandbox');
+    stub.respondWith('/upload', {
+        status: 200,
+        body: { files: [{ name: 'screenshot.pdf', url: `https://files.example/${'a'.repeat(2000)}` }] }
+    });
+    const typed = 'x'.repeat(DESCRIPTION_MAX_LENGTH - 1000);
+    fillUrgentCase(typed);
+    await goToReview(page);
+
+    const failed = new Promise(resolve => page.$('caseForm').addEventListener('failed', event => resolve(event.detail)));
+    advanceClock(t, page, 60000);
+    page.$('submitBtn').click();
+
+    assert.equal((await failed).reason, 'description-too-long');
+    assert.equal(page.posted.length, 0);
+    assert.equal(page.$('description').value, typed);
+    assert.match(page.document.querySelector('.form-step.active .error-message').textContent, /too long to add the attachment links/);
+});
@@ -0,0 +1,338 @@
+/**
+ * Test pages
+ * Opens index.html or success.html in jsdom and runs their module scripts in Node, with
+ * the page's window installed as the global scope, the way a browser would run them.
+ *
+ * fetch() reads this repository for URLs on the page's own origin (http://localhost) and
+ * goes out over the network for everything else. Requests to the stub server's default
+ * port (http://localhost:8787) go to the stub server passed to openPage().
+ *
+ * The sandbox configuration ships without an org ID, so pages get a made-up one unless a
+ * test opens them with `orgId: ''`.
+ */
+
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { mkdtemp, readFile, writeFile } from 'node:fs/promises';
+import { register } from 'node:module';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import vm from 'node:vm';
+
+register('./loader-hooks.js', import.meta.url);
+
+const REPO_DIR = fileURLToPath(new URL('../', import.meta.url));
+const PAGE_ORIGIN = 'http://localhost';
+const STUB_ORIGIN = 'http://localhost:8787';
+const TEST_ORG_ID = '00D000000000TST';
+const CONTENT_TYPES = {
+    '.html': 'text/html',
+    '.js': 'text/javascript',
+    '.json': 'application/json',
+    '.css': 'text/css'
+};
+// Node's own versions are kept for the language itself (Object, Date, ...), where fetch
+// needs them and for timers, which jsdom builds its own on
+const NODE_GLOBALS = new Set([
+    ...vm.runInNewContext('Object.getOwnPropertyNames(globalThis)'),
+    'fetch', 'Request', 'Response', 'Headers', 'AbortController', 'AbortSignal', 'URL',
+    'URLSearchParams', 'crypto', 'performance', 'queueMicrotask', 'structuredClone',
+    'TextEncoder', 'TextDecoder', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval'
+]);
+const nodeSetTimeout = setTimeout;
+const nodeSetInterval = setInterval;
+
+// A window running scripts doesn't list its interfaces (HTMLElement, Event, ...), so the
+// names come from one that doesn't
+const WINDOW_GLOBALS = Object.getOwnPropertyNames(new JSDOM('').window);
+
+const DEFAULT_CASE = {
+    name: 'Ana Putri',
+    email: 'ana.putri@student.beeversity.ac.id',
+    // IT Support Request
+    recordType: '012NS0000086ez3',
+    type: 'Problem',
+    reason: 'Network Connectivity',
+    priority: 'Medium',
+    subject: 'Wi-Fi keeps dropping in the library',
+    description: 'Since Monday the Wi-Fi in the library disconnects every few minutes on my laptop.'
+};
+// Filled in this order, since each one's options depend on the one before
+const DEPENDENT_FIELDS = ['recordType', 'type', 'reason'];
+
+// The page's FormData and Blob replace these globals, but fetch only takes Node's
+const { fetch: nodeFetch, FormData: NodeFormData, Blob: NodeBlob } = globalThis;
+let pageCount = 0;
+let scriptDir = null;
+
+/**
+ * Open a page of the form
+ * @param {string} page - File name, e.g. 'index.html'
+ * @param {Object} options - `query` to add to the URL, `localStorage` and `sessionStorage`
+ *                           to start with, the `stub` server answering on port 8787,
+ *                           `before(window)`, called before the page's scripts run, and
+ *                           the `orgId` for configurations without one
+ * @returns {Promise<Object>} - { window, document, $, errors, import(), close() }
+ */
+export async function openPage(page, { query = '', localStorage = {}, sessionStorage = {}, stub = null, before, orgId = TEST_ORG_ID } = {}) {
+    const html = await readFile(path.join(REPO_DIR, page), 'utf8');
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error.message));
+
+    const dom = new JSDOM(html, {
+        url: `${PAGE_ORIGIN}/${page}${query}`,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse(window) {
+            Object.entries(localStorage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+            Object.entries(sessionStorage).forEach(([key, value]) => window.sessionStorage.setItem(key, value));
+            window.scrollTo = () => {};
+            window.HTMLElement.prototype.scrollIntoView = () => {};
+            // Module scripts run before DOMContentLoaded; it's sent again once they have
+            window.document.addEventListener('DOMContentLoaded', event => {
+                if (event.isTrusted) {
+                    event.stopImmediatePropagation();
+                }
+            }, true);
+        }
+    });
+    const { window } = dom;
+
+    const timers = installGlobals(window, stub);
+    if (before) {
+        await before(window);
+    }
+
+    const id = ++pageCount;
+    if (orgId) {
+        const { FormConfig } = await import(moduleUrl('form-config.js', id));
+        const { resolve } = FormConfig;
+        FormConfig.resolve = function (name) {
+            const resolved = resolve.call(this, name);
+            return resolved.orgId ? resolved : { ...resolved, orgId };
+        };
+    }
+    for (const script of window.document.querySelectorAll('script[type="module"]')) {
+        await import(script.src ? moduleUrl(new URL(script.src).pathname, id) : await writeInlineScript(script.textContent, page, id));
+    }
+    window.document.dispatchEvent(new window.Event('DOMContentLoaded', { bubbles: true }));
+    await sleep(0);
+
+    return {
+        window,
+        document: window.document,
+        $: elementId => window.document.getElementById(elementId),
+        errors,
+        // The page's own instance of a module, e.g. page.import('attachments.js')
+        import: specifier => import(moduleUrl(specifier, id)),
+        // Closing the page stops its retries and watchdogs too
+        close() {
+            timers.forEach(timer => clearTimeout(timer));
+            window.close();
+        }
+    };
+}
+
+/**
+ * Wait for timers and pending promises
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+    return new Promise(resolve => nodeSetTimeout(resolve, ms));
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Checked every few milliseconds
+ * @param {number} timeout - Milliseconds before giving up
+ * @returns {Promise<void>}
+ */
+export async function waitFor(condition, timeout = 3000) {
+    const giveUpAt = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > giveUpAt) {
+            throw new Error(`Timed out waiting for ${condition}`);
+        }
+        await sleep(10);
+    }
+}
+
+/**
+ * Fill in the case form
+ * @param {Object} page - From openPage()
+ * @param {Object} values - Field values by ID, replacing the defaults
+ */
+export function fillCase(page, values = {}) {
+    const { window, $ } = page;
+    const { priority, ...fields } = { ...DEFAULT_CASE, ...values };
+
+    const setValue = (id, value) => {
+        $(id).value = value;
+        ['input', 'change'].forEach(type => $(id).dispatchEvent(new window.Event(type, { bubbles: true })));
+    };
+
+    Object.entries(fields).filter(([id]) => !DEPENDENT_FIELDS.includes(id)).forEach(([id, value]) => setValue(id, value));
+    DEPENDENT_FIELDS.forEach(id => setValue(id, fields[id]));
+    page.document.querySelector(`.priority-badge[data-value="${priority}"]`).click();
+}
+
+/**
+ * Go through the steps to the review
+ * @param {Object} page - From openPage()
+ * @returns {Promise<void>}
+ */
+export async function goToReview(page) {
+    const activeStep = () => page.document.querySelector('.form-step.active');
+    const nextButton = step => step.querySelector('[data-nav="next"]:not([hidden]), [data-nav="review"]:not([hidden])');
+    let step;
+    while (nextButton(step = activeStep())) {
+        nextButton(step).click();
+        // Clicks are ignored until the new step has finished sliding in
+        await waitFor(() => activeStep() !== step && !activeStep().style.animation);
+    }
+}
+
+/**
+ * Move the clock forward for the rest of a test, in the page and in the test
+ * @param {TestContext} t - The running test
+ * @param {Object} page - From openPage()
+ * @param {number} ms - Milliseconds to move forward
+ */
+export function advanceClock(t, page, ms) {
+    for (const clock of new Set([Date, page.window.Date])) {
+        const now = clock.now.bind(clock);
+        t.mock.method(clock, 'now', () => now() + ms);
+    }
+}
+
+/**
+ * Copy the storage of a page, e.g. to open the next page with it
+ * @param {Storage} storage - The page's localStorage or sessionStorage
+ * @returns {Object<string, string>} - Stored values by key
+ */
+export function copyStorage(storage) {
+    const copy = {};
+    for (let i = 0; i < storage.length; i++) {
+        copy[storage.key(i)] = storage.getItem(storage.key(i));
+    }
+    return copy;
+}
+
+/**
+ * Read a jsdom Blob (or File)
+ * @param {Window} window - The page
+ * @param {Blob} blob - The blob
+ * @returns {Promise<Buffer>} - Its bytes
+ */
+export function readBlob(window, blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new window.FileReader();
+        reader.onload = () => resolve(Buffer.from(reader.result));
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(blob);
+    });
+}
+
+/**
+ * Make the page's window the global scope
+ * @param {Window} window - The page
+ * @param {Object|null} stub - The stub server
+ * @returns {Set} - The timers the page starts
+ */
+function installGlobals(window, stub) {
+    WINDOW_GLOBALS.forEach(key => {
+        if (NODE_GLOBALS.has(key) || key.startsWith('_')) return;
+        try {
+            Object.defineProperty(globalThis, key, { value: window[key], configurable: true, writable: true });
+        } catch (error) {
+            // Read-only Node globals stay as they are
+        }
+    });
+    globalThis.fetch = (input, init) => pageFetch(window, stub, input, init);
+
+    const timers = new Set();
+    globalThis.setTimeout = (...args) => {
+        const timer = nodeSetTimeout(...args);
+        timers.add(timer);
+        return timer;
+    };
+    globalThis.setInterval = (...args) => {
+        const timer = nodeSetInterval(...args);
+        timers.add(timer);
+        return timer;
+    };
+    return timers;
+}
+
+/**
+ * fetch() as seen by the page
+ * @param {Window} window - The page
+ * @param {Object|null} stub - The stub server
+ * @param {string|URL} input - The URL, relative to the page
+ * @param {Object} init - fetch options
+ * @returns {Promise<Response>}
+ */
+async function pageFetch(window, stub, input, init = {}) {
+    let url = new URL(String(input), window.location.href);
+    if (stub && url.origin === STUB_ORIGIN) {
+        url = new URL(`${url.pathname}${url.search}`, stub.url);
+    }
+    if (url.origin === PAGE_ORIGIN || url.protocol === 'file:') {
+        const file = url.protocol === 'file:' ? fileURLToPath(url) : path.join(REPO_DIR, decodeURIComponent(url.pathname));
+        try {
+            const headers = { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' };
+            return new Response(await readFile(file), { status: 200, headers });
+        } catch (error) {
+            return new Response('Not found', { status: 404 });
+        }
+    }
+
+    // Node doesn't do CORS, and can't send jsdom's FormData or Blobs
+    const { mode, ...options } = init;
+    if (options.body instanceof window.FormData) {
+        const body = new NodeFormData();
+        for (const [name, value] of options.body.entries()) {
+            if (value instanceof window.Blob) {
+                body.append(name, new NodeBlob([await readBlob(window, value)], { type: value.type }), value.name);
+            } else {
+                body.append(name, value);
+            }
+        }
+        options.body = body;
+    } else if (options.body instanceof window.Blob) {
+        options.body = new NodeBlob([await readBlob(window, options.body)], { type: options.body.type });
+    }
+    return nodeFetch(url, options);
+}
+
+/**
+ * Get the URL of a module of this repository for one page
+ * @param {string} pathname - Path of the module from the repository root
+ * @param {number} id - The page number
+ * @returns {string} - A file URL with the page query
+ */
+function moduleUrl(pathname, id) {
+    const url = pathToFileURL(path.join(REPO_DIR, pathname));
+    url.searchParams.set('page', id);
+    return url.href;
+}
+
+/**
+ * Save an inline module script to a file, pointing its imports at this repository
+ * @param {string} source - The script
+ * @param {string} page - The page it's on
+ * @param {number} id - The page number
+ * @returns {Promise<string>} - The file URL to import
+ */
+async function writeInlineScript(source, page, id) {
+    scriptDir = scriptDir || await mkdtemp(path.join(tmpdir(), 'case-form-'));
+    const file = path.join(scriptDir, `page-${id}.js`);
+    const code = source.replace(/(from\s*|import\s*\(?\s*)(['"])(\.{1,2}\/[^'"]+)\2/g, (match, keyword, quote, specifier) => {
+        return `${keyword}${quote}${moduleUrl(path.join(path.dirname(page), specifier), id)}${quote}`;
+    });
+    await writeFile(file, code);
+    return pathToFileURL(file).href;
+}
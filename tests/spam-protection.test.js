@@ -0,0 +1,180 @@
+/**
+ * Spam protection (spam-protection.js): the honeypot, time-to-submit, rate limit and
+ * challenge checks that run before a case is sent, and that only cases that were sent
+ * count towards the rate limit
+ */
+
+import assert from 'node:assert/strict';
+import { after, afterEach, before, test } from 'node:test';
+import { advanceClock, copyStorage, fillCase, goToReview, openPage, waitFor } from './page.js';
+import { startStubServer } from './stub-server.js';
+
+const SUBMISSION_LOG = 'beeversity-submissions:student-support-case';
+
+let stub;
+let page;
+let pages = [];
+
+before(async () => {
+    stub = await startStubServer();
+});
+
+afterEach(() => {
+    pages.forEach(opened => opened.close());
+    pages = [];
+    stub.reset();
+});
+
+after(() => stub.close());
+
+/**
+ * Open a page and close it after the test
+ * @param {string} name - File name
+ * @param {Object} options - For openPage()
+ * @returns {Promise<Object>} - The page
+ */
+async function open(name, options) {
+    const opened = await openPage(name, { stub, ...options });
+    pages.push(opened);
+    return opened;
+}
+
+/**
+ * Open the form and collect the native POSTs it makes
+ * @param {Object} options - For openPage()
+ * @returns {Promise<Object>} - The page, plus `posted`: every native form POST
+ */
+async function openForm(options = {}) {
+    const posted = [];
+    page = await open('index.html', {
+        ...options,
+        before(window) {
+            window.HTMLFormElement.prototype.submit = function () {
+                posted.push(Object.fromEntries(new window.FormData(this)));
+            };
+            // Salesforce would take over from here
+            window.addEventListener('submit', event => {
+                if (!event.defaultPrevented) {
+                    posted.push(Object.fromEntries(new window.FormData(event.target)));
+                    event.preventDefault();
+                }
+            });
+        }
+    });
+    page.posted = posted;
+    return page;
+}
+
+/**
+ * The times recorded for the rate limit
+ * @param {Object} page - From openPage()
+ * @returns {number[]}
+ */
+function recorded(page) {
+    return JSON.parse(page.window.localStorage.getItem(SUBMISSION_LOG)) || [];
+}
+
+/**
+ * The message shown on the review step
+ * @returns {string}
+ */
+function errorMessage() {
+    const error = page.document.querySelector('.form-step.active .error-message');
+    return error ? error.textContent : '';
+}
+
+test('a submission sooner than the minimum time is blocked', async () => {
+    await openForm();
+    fillCase(page);
+    await goToReview(page);
+
+    page.$('submitBtn').click();
+
+    assert.equal(page.posted.length, 0);
+    assert.deepEqual(recorded(page), []);
+    assert.match(errorMessage(), /take a moment to review/);
+});
+
+test('a filled-in honeypot blocks the submission', async t => {
+    await openForm();
+    fillCase(page);
+    page.$('website').value = 'https://spam.example';
+    await goToReview(page);
+
+    advanceClock(t, page, 60000);
+    page.$('submitBtn').click();
+
+    assert.equal(page.posted.length, 0);
+    assert.match(errorMessage(), /couldn't submit your request/);
+});
+
+test('a native POST is counted once the success page confirms it', async t => {
+    const now = Date.now();
+    await openForm({ localStorage: { [SUBMISSION_LOG]: JSON.stringify([now - 1000]) } });
+    fillCase(page);
+    await goToReview(page);
+
+    advanceClock(t, page, 60000);
+    page.$('submitBtn').click();
+    await waitFor(() => page.posted.length === 1);
+    t.mock.restoreAll();
+
+    assert.equal(recorded(page).length, 1, 'not counted before Salesforce accepts it');
+
+    const returnUrl = new URL(page.posted[0].retURL);
+    const success = await open('success.html', {
+        query: `?submissionId=${returnUrl.searchParams.get('submissionId')}`,
+        localStorage: copyStorage(page.window.localStorage),
+        sessionStorage: copyStorage(page.window.sessionStorage)
+    });
+
+    assert.equal(recorded(success).length, 2);
+    assert.deepEqual(Object.keys(copyStorage(success.window.sessionStorage)).filter(key => key.startsWith('beeversity-pending-submission:')), [],
+        'the pending record is used up');
+});
+
+test('a submission whose upload fails is not counted', async t => {
+    await openForm({ query: '?config=sandbox' });
+    stub.respondWith('/upload', 500);
+    fillCase(page);
+    const input = page.$('attachments');
+    Object.defineProperty(input, 'files', {
+        value: [new page.window.File(['%PDF-1.4 test'], 'screenshot.pdf', { type: 'application/pdf' })]
+    });
+    input.dispatchEvent(new page.window.Event('change'));
+    await goToReview(page);
+
+    const failed = new Promise(resolve => page.$('caseForm').addEventListener('failed', event => resolve(event.detail)));
+    advanceClock(t, page, 60000);
+    page.$('submitBtn').click();
+
+    assert.equal((await failed).reason, 'upload');
+    assert.deepEqual(recorded(page), []);
+});
+
+test('submissions over the rate limit are blocked until the window has passed', async t => {
+    const now = Date.now();
+    await openForm({ localStorage: { [SUBMISSION_LOG]: JSON.stringify([now - 1000, now - 500, now]) } });
+    fillCase(page);
+    await goToReview(page);
+
+    advanceClock(t, page, 60000);
+    page.$('submitBtn').click();
+
+    assert.equal(page.posted.length, 0);
+    assert.match(errorMessage(), /wait 59 minutes/);
+});
+
+test('a challenge provider passes or fails the submission and stores its token', async () => {
+    await openForm();
+    const { SpamGuard } = await page.import('spam-protection.js');
+    const form = page.$('caseForm');
+    const challenge = { provider: 'local-stub', tokenField: 'challengeToken' };
+
+    assert.equal(await new SpamGuard({ challenge }, 'student-support-case').runChallenge(form), true);
+    assert.match(form.elements.challengeToken.value, /^stub-\d+$/);
+
+    form.elements.challengeToken.value = '';
+    assert.equal(await new SpamGuard({ challenge: { ...challenge, stubResult: 'fail' } }, 'student-support-case').runChallenge(form), false);
+    assert.equal(form.elements.challengeToken.value, '');
+});
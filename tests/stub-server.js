@@ -0,0 +1,178 @@
+/**
+ * Stub Endpoints
+ * A local stand-in for the services the form talks to, used by the tests and for trying
+ * the sandbox configuration in a browser (`npm run stub`, then open index.html?config=sandbox):
+ *
+ *   POST /upload - Attachment uploads, following the contract in attachments.js
+ *   POST /<any>  - Any other endpoint accepts the request with 200 { ok: true }
+ *
+ * Every request is recorded. Tests can queue responses for a path, which are used in order
+ * before falling back to the normal answer:
+ *   stub.respondWith('/case', 503, { status: 200, delay: 500 })
+ */
+
+import { createServer } from 'node:http';
+import { fileURLToPath } from 'node:url';
+
+const DEFAULT_PORT = 8787;
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+/**
+ * Start the stub server
+ * @param {number} port - Port to listen on (0 picks a free one)
+ * @returns {Promise<Object>} - { url, requests, respondWith(path, ...responses), reset(), close() }
+ */
+export function startStubServer(port = 0) {
+    const requests = [];
+    const queued = new Map();
+    const timers = new Set();
+
+    const server = createServer(async (request, response) => {
+        const path = new URL(request.url, 'http://stub').pathname;
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204, CORS_HEADERS).end();
+            return;
+        }
+
+        const chunks = [];
+        try {
+            for await (const chunk of request) {
+                chunks.push(chunk);
+            }
+        } catch (error) {
+            // The client gave up (e.g. an upload timeout) while still sending
+            return;
+        }
+        const entry = await readRequest(request, path, Buffer.concat(chunks));
+        requests.push(entry);
+
+        const planned = (queued.get(path) || []).shift() || {};
+        const reply = () => {
+            if (response.destroyed) return;
+            const { status, body } = planned.status ? planned : answer(entry, stub.url);
+            response.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+            response.end(JSON.stringify(body || {}));
+        };
+
+        if (planned.delay) {
+            const timer = setTimeout(() => {
+                timers.delete(timer);
+                reply();
+            }, planned.delay);
+            timers.add(timer);
+        } else {
+            reply();
+        }
+    });
+
+    const stub = {
+        url: '',
+        requests,
+
+        /**
+         * Queue responses for a path
+         * @param {string} path - e.g. '/upload'
+         * @param {...(number|Object)} responses - Status codes, or { status, body, delay }
+         */
+        respondWith(path, ...responses) {
+            const list = queued.get(path) || [];
+            responses.forEach(response => list.push(typeof response === 'number' ? { status: response } : response));
+            queued.set(path, list);
+        },
+
+        /**
+         * Forget the recorded requests and queued responses
+         */
+        reset() {
+            requests.length = 0;
+            queued.clear();
+        },
+
+        /**
+         * Stop the server, dropping any request still waiting for a delayed response
+         * @returns {Promise<void>}
+         */
+        close() {
+            timers.forEach(timer => clearTimeout(timer));
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(() => resolve()));
+        }
+    };
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, () => {
+            stub.url = `http://localhost:${server.address().port}`;
+            resolve(stub);
+        });
+    });
+}
+
+/**
+ * Record what was sent
+ * @param {IncomingMessage} request - The request
+ * @param {string} path - Its path
+ * @param {Buffer} body - Its body
+ * @returns {Promise<Object>} - { method, path, contentType, body, fields, files }
+ */
+async function readRequest(request, path, body) {
+    const contentType = request.headers['content-type'] || '';
+    const entry = { method: request.method, path, contentType, body: '', fields: {}, files: [] };
+
+    if (contentType.startsWith('multipart/form-data')) {
+        const form = await new Response(body, { headers: { 'Content-Type': contentType } }).formData();
+        for (const [name, value] of form.entries()) {
+            if (typeof value === 'string') {
+                entry.fields[name] = value;
+            } else {
+                entry.files.push({ field: name, name: value.name, type: value.type, size: value.size });
+            }
+        }
+    } else {
+        entry.body = body.toString('utf8');
+        if (contentType.startsWith('application/json')) {
+            entry.json = JSON.parse(entry.body || 'null');
+        } else if (contentType.startsWith('application/x-www-form-urlencoded')) {
+            entry.fields = Object.fromEntries(new URLSearchParams(entry.body));
+        }
+    }
+    return entry;
+}
+
+/**
+ * The normal answer of each endpoint
+ * @param {Object} entry - The recorded request
+ * @param {string} baseUrl - Where the stub is listening
+ * @returns {{status: number, body: Object}}
+ */
+function answer(entry, baseUrl) {
+    if (entry.method !== 'POST') {
+        return { status: 405, body: { error: 'Method not allowed' } };
+    }
+    if (entry.path === '/upload') {
+        if (entry.files.length === 0) {
+            return { status: 400, body: { error: 'No files' } };
+        }
+        return {
+            status: 200,
+            body: {
+                files: entry.files.map(file => ({ name: file.name, url: `${baseUrl}/files/${encodeURIComponent(file.name)}` }))
+            }
+        };
+    }
+    return { status: 200, body: { ok: true } };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const stub = await startStubServer(Number(process.env.PORT) || DEFAULT_PORT);
+    console.log(`Stub endpoints listening on ${stub.url}`);
+    setInterval(() => {
+        stub.requests.splice(0).forEach(entry => {
+            console.log(`${entry.method} ${entry.path}`, entry.json || entry.fields, entry.files.length ? entry.files : '');
+        });
+    }, 500);
+}
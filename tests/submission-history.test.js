@@ -0,0 +1,91 @@
+/**
+ * Submission history (submission-history.js): a natively posted request is only listed
+ * once the success page confirms Salesforce accepted it
+ */
+
+import assert from 'node:assert/strict';
+import { afterEach, test } from 'node:test';
+import { advanceClock, copyStorage, fillCase, goToReview, openPage, waitFor } from './page.js';
+
+const HISTORY = 'beeversity-history';
+
+let pages = [];
+
+afterEach(() => {
+    pages.forEach(page => page.close());
+    pages = [];
+});
+
+/**
+ * Open a page and close it after the test
+ * @param {string} name - File name
+ * @param {Object} options - For openPage()
+ * @returns {Promise<Object>} - The page
+ */
+async function open(name, options = {}) {
+    const page = await openPage(name, { query: '?config=production', ...options });
+    pages.push(page);
+    return page;
+}
+
+/**
+ * Fill in the case, go to the review and post it natively
+ * @param {TestContext} t - The running test
+ * @returns {Promise<Object>} - The page, plus `posted`: the form values sent
+ */
+async function postCase(t) {
+    let posted = null;
+    const page = await open('index.html', {
+        before(window) {
+            // Salesforce would take over from here
+            window.addEventListener('submit', event => {
+                posted = Object.fromEntries(new window.FormData(event.target));
+                event.preventDefault();
+            });
+        }
+    });
+    fillCase(page);
+    await goToReview(page);
+
+    advanceClock(t, page, 60000);
+    page.$('submitBtn').click();
+    await waitFor(() => posted);
+    t.mock.restoreAll();
+
+    page.posted = posted;
+    return page;
+}
+
+test('a posted request is not listed until the success page opens', async t => {
+    const page = await postCase(t);
+
+    assert.equal(page.window.localStorage.getItem(HISTORY), null);
+
+    // The POST never arrived, so the form doesn't list it either
+    const retry = await open('index.html', {
+        localStorage: copyStorage(page.window.localStorage),
+        sessionStorage: copyStorage(page.window.sessionStorage)
+    });
+    assert.equal(retry.document.querySelector('[data-submission-history]').hidden, true);
+});
+
+test('the success page lists the request and highlights it', async t => {
+    const page = await postCase(t);
+    const submissionId = new URL(page.posted.retURL).searchParams.get('submissionId');
+
+    const success = await open('success.html', {
+        query: `?submissionId=${submissionId}`,
+        localStorage: copyStorage(page.window.localStorage),
+        sessionStorage: copyStorage(page.window.sessionStorage)
+    });
+
+    const entries = JSON.parse(success.window.localStorage.getItem(HISTORY));
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].submissionId, submissionId);
+    assert.equal(entries[0].subject, 'Wi-Fi keeps dropping in the library');
+    assert.equal(success.window.sessionStorage.getItem(`beeversity-pending-history:${submissionId}`), null,
+        'the pending entry is used up');
+
+    const entry = success.document.querySelector('[data-submission-history] .history-entry');
+    assert.ok(entry.querySelector('.history-current'));
+});
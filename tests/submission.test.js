@@ -0,0 +1,198 @@
+/**
+ * Case submission (submission.js): retries with backoff and the offline IndexedDB outbox,
+ * against the stub server's /case endpoint
+ */
+
+import assert from 'node:assert/strict';
+import { after, afterEach, before, beforeEach, test } from 'node:test';
+import { IDBFactory } from 'fake-indexeddb';
+import { openPage, sleep } from './page.js';
+import { startStubServer } from './stub-server.js';
+
+const SUBMISSION_OPTIONS = {
+    endpoint: 'http://localhost:8787/case',
+    opaqueResponse: false,
+    timeout: 1000,
+    retries: 2,
+    retryDelay: 50
+};
+const CASE_BODY = 'orgid=00DNS00000QWoKT&subject=Wi-Fi&description=Drops+every+few+minutes';
+
+let stub;
+let page;
+let CaseSubmitter;
+let SubmissionError;
+
+before(async () => {
+    stub = await startStubServer();
+});
+
+beforeEach(async () => {
+    globalThis.indexedDB = new IDBFactory();
+    page = await openPage('index.html', { stub });
+    ({ CaseSubmitter, SubmissionError } = await page.import('submission.js'));
+});
+
+afterEach(() => {
+    page.close();
+    stub.reset();
+});
+
+after(() => stub.close());
+
+/**
+ * Pretend the browser went offline or came back
+ * @param {boolean} isOnline - The new state
+ */
+function setOnline(isOnline) {
+    Object.defineProperty(page.window.navigator, 'onLine', { value: isOnline, configurable: true });
+}
+
+/**
+ * Count the cases waiting in the outbox
+ * @returns {Promise<number>}
+ */
+async function countQueued() {
+    const submitter = new CaseSubmitter(SUBMISSION_OPTIONS);
+    const db = await submitter.openOutbox();
+    try {
+        return await submitter.runTransaction(db, 'readonly', store => store.count());
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Check that nothing holds the outbox database open
+ * @returns {Promise<boolean>} - Whether deleting it had to wait for open connections
+ */
+function isOutboxBlocked() {
+    const deleted = new Promise(resolve => {
+        const request = indexedDB.deleteDatabase('beeversity-case-form');
+        request.onblocked = () => resolve(true);
+        request.onsuccess = () => resolve(false);
+    });
+    return Promise.race([deleted, sleep(500).then(() => true)]);
+}
+
+test('a server error is retried with exponential backoff', async () => {
+    stub.respondWith('/case', 503, 502);
+    const times = [];
+    const submitter = new CaseSubmitter(SUBMISSION_OPTIONS);
+    const send = submitter.send.bind(submitter);
+    submitter.send = body => {
+        times.push(Date.now());
+        return send(body);
+    };
+
+    assert.equal((await submitter.submit(CASE_BODY)).queued, false);
+
+    assert.equal(stub.requests.length, 3);
+    assert.equal(stub.requests[2].body, CASE_BODY);
+    assert.ok(times[1] - times[0] >= 50, 'first retry waits retryDelay');
+    assert.ok(times[2] - times[1] >= 100, 'second retry waits twice as long');
+});
+
+test('a rejected case is not retried', async () => {
+    stub.respondWith('/case', 400);
+    const submitter = new CaseSubmitter(SUBMISSION_OPTIONS);
+
+    await assert.rejects(submitter.submit(CASE_BODY), error => error instanceof SubmissionError && error.status === 400);
+    assert.equal(stub.requests.length, 1);
+});
+
+test('retrying stops after the configured number of retries', async () => {
+    stub.respondWith('/case', 500, 500, 500, 500);
+    const submitter = new CaseSubmitter(SUBMISSION_OPTIONS);
+
+    await assert.rejects(submitter.submit(CASE_BODY), error => error.status === 500);
+    assert.equal(stub.requests.length, 3);
+});
+
+test('a request without an answer times out', async () => {
+    stub.respondWith('/case', { status: 200, delay: 2000 });
+    const submitter = new CaseSubmitter({ ...SUBMISSION_OPTIONS, timeout: 100, retries: 0 });
+
+    await assert.rejects(submitter.submit(CASE_BODY), /timed out after 100 ms/);
+});
+
+test('a case made offline waits in the outbox until it can be sent', async () => {
+    const submitter = new CaseSubmitter(SUBMISSION_OPTIONS);
+    setOnline(false);
+
+    assert.equal((await submitter.submit(CASE_BODY)).queued, true);
+    assert.equal(stub.requests.length, 0);
+    assert.equal(await submitter.flushQueue(), 0, 'nothing is sent while offline');
+    assert.equal(await countQueued(), 1);
+
+    setOnline(true);
+    assert.equal(await submitter.flushQueue(), 1);
+    assert.equal(stub.requests[0].body, CASE_BODY);
+    assert.equal(await countQueued(), 0);
+    assert.equal(await isOutboxBlocked(), false);
+});
+
+test('a queued case that fails to send stays queued and the outbox is closed', async () => {
+    const submitter = new CaseSubmitter(SUBMISSION_OPTIONS);
+    setOnline(false);
+    await submitter.submit(CASE_BODY);
+    setOnline(true);
+    stub.respondWith('/case', 400);
+
+    assert.equal(await submitter.flushQueue(), 0);
+    assert.equal(await countQueued(), 1);
+    assert.equal(await isOutboxBlocked(), false);
+});
+
+test('cases are sent oldest first and sending stops at the first failure', async () => {
+    const submitter = new CaseSubmitter(SUBMISSION_OPTIONS);
+    setOnline(false);
+    await submitter.submit('subject=first');
+    await submitter.submit('subject=second');
+    setOnline(true);
+    stub.respondWith('/case', 200, 400);
+
+    assert.equal(await submitter.flushQueue(), 1);
+    assert.deepEqual(stub.requests.map(request => request.body), ['subject=first', 'subject=second']);
+    assert.equal(await countQueued(), 1);
+});
+
+test('each sent case removes its own entry while another tab changes the outbox', async () => {
+    const submitter = new CaseSubmitter(SUBMISSION_OPTIONS);
+    setOnline(false);
+    await submitter.submit('subject=first');
+    await submitter.submit('subject=second');
+    setOnline(true);
+
+    // Right after the outbox is first read, another tab sends the first case and queues a third
+    const openOutbox = submitter.openOutbox.bind(submitter);
+    submitter.openOutbox = async () => {
+        const db = await openOutbox();
+        const transaction = db.transaction.bind(db);
+        let isFirst = true;
+        db.transaction = (...args) => {
+            const opened = transaction(...args);
+            if (isFirst) {
+                isFirst = false;
+                opened.addEventListener('complete', () => {
+                    const store = transaction('outbox', 'readwrite').objectStore('outbox');
+                    store.delete(1);
+                    store.add({ body: 'subject=third', queuedAt: Date.now() });
+                });
+            }
+            return opened;
+        };
+        return db;
+    };
+
+    assert.equal(await submitter.flushQueue(), 2);
+    assert.deepEqual(stub.requests.map(request => request.body), ['subject=first', 'subject=second']);
+    const queued = new CaseSubmitter(SUBMISSION_OPTIONS);
+    const db = await queued.openOutbox();
+    try {
+        const remaining = await queued.runTransaction(db, 'readonly', store => store.getAll());
+        assert.deepEqual(remaining.map(entry => entry.body), ['subject=third']);
+    } finally {
+        db.close();
+    }
+});
@@ -0,0 +1,24 @@
+/**
+ * Success page (success.html): translated copy keeps its markup
+ */
+
+import assert from 'node:assert/strict';
+import { afterEach, test } from 'node:test';
+import { openPage } from './page.js';
+
+let page;
+
+afterEach(() => page.close());
+
+test('the emergency phone number stays bold in both languages', async () => {
+    page = await openPage('success.html', { query: '?submissionId=WEB-20250101-K3F9QZ' });
+    const paragraph = () => page.document.querySelector('[data-i18n="success.emergencyBefore"]').parentElement;
+
+    assert.equal(paragraph().querySelector('strong:not([data-i18n])').textContent, '(021) 1234-5678');
+
+    const { I18n } = await page.import('i18n.js');
+    I18n.setLanguage('id');
+
+    assert.match(paragraph().textContent, /hubungi layanan darurat kami di \(021\) 1234-5678 dan sebutkan/);
+    assert.equal(paragraph().querySelector('strong:not([data-i18n])').textContent, '(021) 1234-5678');
+});
@@ -0,0 +1,142 @@
+/**
+ * Feedback survey (survey.js): the localStorage outbox, retries and 4xx handling, against
+ * the stub server's /survey endpoint
+ */
+
+import assert from 'node:assert/strict';
+import { after, afterEach, before, test } from 'node:test';
+import { copyStorage, openPage, sleep, waitFor } from './page.js';
+import { startStubServer } from './stub-server.js';
+
+const SURVEY_OPTIONS = {
+    endpoint: 'http://localhost:8787/survey',
+    timeout: 1000,
+    retries: 2,
+    retryDelay: 50
+};
+const SUBMISSION_ID = 'WEB-20250101-K3F9QZ';
+const OUTBOX_KEY = 'beeversity-survey-outbox';
+
+let stub;
+let pages = [];
+
+before(async () => {
+    stub = await startStubServer();
+});
+
+afterEach(() => {
+    pages.forEach(page => page.close());
+    pages = [];
+    stub.reset();
+});
+
+after(() => stub.close());
+
+/**
+ * Open the success page and close it after the test
+ * @param {string} query - The success page query
+ * @param {Object} options - For openPage()
+ * @returns {Promise<Object>} - The page
+ */
+async function openSuccessPage(query, options = {}) {
+    const page = await openPage('success.html', { query, stub, ...options });
+    pages.push(page);
+    return page;
+}
+
+/**
+ * Make a survey with a queued response, outside the page's form
+ * @param {Object} page - From openPage()
+ * @returns {Promise<Object>} - The FeedbackSurvey
+ */
+async function queuedSurvey(page) {
+    const { FeedbackSurvey } = await page.import('survey.js');
+    const survey = new FeedbackSurvey(null, SURVEY_OPTIONS, { submissionId: SUBMISSION_ID, department: 'IT Support' });
+    survey.addToOutbox({ submissionId: SUBMISSION_ID, department: 'IT Support', ease: 4, foundNeeded: 'yes', comment: '' });
+    return survey;
+}
+
+test('the survey is hidden without an endpoint, as in production', async () => {
+    const page = await openSuccessPage(`?config=production&submissionId=${SUBMISSION_ID}`);
+    assert.equal(page.$('surveyForm').hidden, true);
+});
+
+test('an answered survey is posted and not shown again for the same case', async () => {
+    const page = await openSuccessPage(`?config=sandbox&submissionId=${SUBMISSION_ID}&department=IT+Support`);
+    const form = page.$('surveyForm');
+    assert.equal(form.hidden, false);
+
+    form.querySelector('input[name="ease"][value="4"]').checked = true;
+    form.querySelector('input[name="foundNeeded"][value="partly"]').checked = true;
+    form.elements.comment.value = '  More   examples, please ';
+    form.requestSubmit();
+    await waitFor(() => form.querySelector('.survey-status').classList.contains('success'));
+
+    const [request] = stub.requests;
+    assert.equal(request.path, '/survey');
+    assert.equal(request.json.submissionId, SUBMISSION_ID);
+    assert.equal(request.json.department, 'IT Support');
+    assert.equal(request.json.ease, 4);
+    assert.equal(request.json.foundNeeded, 'partly');
+    assert.equal(request.json.comment, 'More examples, please');
+    assert.equal(request.json.config, 'sandbox');
+
+    const reload = await openSuccessPage(`?config=sandbox&submissionId=${SUBMISSION_ID}`, {
+        localStorage: copyStorage(page.window.localStorage)
+    });
+    assert.equal(reload.$('surveyForm').hidden, true);
+});
+
+test('a response the endpoint can\'t take right now is retried until it is sent', async () => {
+    const page = await openSuccessPage('?config=production');
+    const survey = await queuedSurvey(page);
+    stub.respondWith('/survey', 503);
+
+    assert.equal(await survey.flush(), 0);
+    await waitFor(() => survey.getOutbox().length === 0);
+
+    assert.equal(stub.requests.length, 2);
+    assert.equal(stub.requests[1].json.submissionId, SUBMISSION_ID);
+});
+
+test('a rejected response is dropped, not retried', async () => {
+    const page = await openSuccessPage('?config=production');
+    const survey = await queuedSurvey(page);
+    stub.respondWith('/survey', 400);
+
+    assert.equal(await survey.flush(), 0);
+    await sleep(200);
+
+    assert.equal(stub.requests.length, 1);
+    assert.deepEqual(survey.getOutbox(), []);
+});
+
+test('sending stops when the outbox can\'t be updated, instead of posting the response again and again', async t => {
+    const page = await openSuccessPage('?config=production');
+    const survey = await queuedSurvey(page);
+    t.mock.method(page.window.Storage.prototype, 'setItem', () => {
+        throw new Error('The quota has been exceeded.');
+    });
+
+    const sent = await Promise.race([survey.flush(), sleep(1000).then(() => 'still sending')]);
+    await sleep(200);
+
+    assert.equal(sent, 1);
+    assert.equal(stub.requests.length, 1);
+    assert.equal(JSON.parse(page.window.localStorage.getItem(OUTBOX_KEY)).length, 1, 'kept for the next page load');
+});
+
+test('a response that can\'t be queued is still sent once', async t => {
+    const page = await openSuccessPage(`?config=sandbox&submissionId=${SUBMISSION_ID}`);
+    const form = page.$('surveyForm');
+    t.mock.method(page.window.Storage.prototype, 'setItem', () => {
+        throw new Error('The quota has been exceeded.');
+    });
+
+    form.querySelector('input[name="ease"][value="5"]').checked = true;
+    form.requestSubmit();
+    await waitFor(() => form.querySelector('.survey-status').classList.contains('success'));
+
+    assert.equal(stub.requests.length, 1);
+    assert.equal(stub.requests[0].json.ease, 5);
+});